@@ -2,269 +2,729 @@ import { Server } from '@modelcontextprotocol/sdk/server/index.js';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
 import {
 	CallToolRequestSchema,
+	ListResourcesRequestSchema,
 	ListToolsRequestSchema,
+	ReadResourceRequestSchema,
+	SubscribeRequestSchema,
+	UnsubscribeRequestSchema,
 } from '@modelcontextprotocol/sdk/types.js';
-import { readFileSync } from 'fs';
-import { join } from 'path';
+import { readFileSync, readdirSync, unlinkSync } from 'fs';
+import { isAbsolute, join, resolve, sep } from 'path';
+import { pathToFileURL } from 'url';
 import { homedir } from 'os';
+import { AsyncLocalStorage } from 'async_hooks';
+import http from 'http';
 
 const PORTS_DIR = join(homedir(), '.cursor-commander-ports');
+// Must match PROTOCOL_VERSION in src/commands.ts
+const PROTOCOL_VERSION = 1;
+const BRIDGE_VERSION = JSON.parse(readFileSync(new URL('./package.json', import.meta.url), 'utf-8')).version;
 const LEGACY_PORT_FILE = join(homedir(), '.cursor-commander-port');
+// Windows write a heartbeat every 10s; an older one means the window is hung or asleep
+const STALE_HEARTBEAT_MS = 60_000;
+const EVENT_RECONNECT_MS = 5000;
+const DEFAULT_CALL_TIMEOUT_MS = 30_000;
+const HANDSHAKE_TIMEOUT_MS = 5000;
+const STATUS_UPDATE_TIMEOUT_MS = 2000;
+// Added to a wait the agent asked for (timeoutMs, waitMs) so the reply can arrive
+const TIMEOUT_MARGIN_MS = 5000;
+// Pauses between attempts while no window answers, e.g. during a reload
+const RETRY_DELAYS_MS = [250, 1000, 2000];
 
 function sanitizeWorkspacePath(fsPath) {
 	return fsPath.replace(/^\//, '').replace(/\//g, '-');
 }
 
-function getPort() {
+// Port files written before the window registry hold { port, token } as
+// JSON, or a bare port.
+function readPortFile(file) {
+	const text = readFileSync(file, 'utf-8').trim();
+	const parsed = JSON.parse(text);
+	if (typeof parsed === 'number') { return { port: parsed, token: undefined }; }
+	return { port: parsed.port, token: parsed.token };
+}
+
+function isProcessAlive(pid) {
+	try {
+		process.kill(pid, 0);
+		return true;
+	} catch (err) {
+		return err.code === 'EPERM';
+	}
+}
+
+function isFresh(entry) {
+	return Date.now() - entry.heartbeat < STALE_HEARTBEAT_MS;
+}
+
+// Reads every window's registry entry, deleting entries whose extension host
+// has died (e.g. after Cursor crashed).
+function readRegistry() {
+	let names;
+	try {
+		names = readdirSync(PORTS_DIR);
+	} catch {
+		return [];
+	}
+	const entries = [];
+	for (const name of names) {
+		if (!name.endsWith('.json')) { continue; }
+		const file = join(PORTS_DIR, name);
+		let entry;
+		try {
+			entry = JSON.parse(readFileSync(file, 'utf-8'));
+		} catch {
+			continue;
+		}
+		if (typeof entry.pid !== 'number' || !isProcessAlive(entry.pid)) {
+			try { unlinkSync(file); } catch {}
+			continue;
+		}
+		entries.push(entry);
+	}
+	return entries;
+}
+
+// Length of the longest workspace folder containing dir, or -1 if none does.
+function folderMatchLength(entry, dir) {
+	let best = -1;
+	for (const folder of entry.folders ?? []) {
+		const prefix = folder.endsWith(sep) ? folder : folder + sep;
+		if (dir === folder || dir.startsWith(prefix)) { best = Math.max(best, folder.length); }
+	}
+	return best;
+}
+
+function selectWindow(entries, dir, { fallback = true } = {}) {
+	const byPreference = (a, b) =>
+		isFresh(b) - isFresh(a) ||
+		folderMatchLength(b, dir) - folderMatchLength(a, dir) ||
+		b.heartbeat - a.heartbeat;
+	const matching = entries.filter((e) => folderMatchLength(e, dir) >= 0).sort(byPreference);
+	if (matching.length || !fallback) { return matching[0]; }
+	// Fall back to a window without a folder open, like the old _default file
+	return entries.filter((e) => !e.folders?.length).sort(byPreference)[0];
+}
+
+// Every value given as --name <value> or --name=<value>, or else the
+// environment variable's value
+function getOptionValues(name, envName) {
+	const argv = process.argv.slice(2);
+	const values = [];
+	for (let i = 0; i < argv.length; i++) {
+		if (argv[i] === `--${name}` && i + 1 < argv.length) { values.push(argv[++i]); }
+		else if (argv[i].startsWith(`--${name}=`)) { values.push(argv[i].slice(name.length + 3)); }
+	}
+	if (!values.length && process.env[envName]) { values.push(process.env[envName]); }
+	return values;
+}
+
+// Registry ID or workspace path set by --window, CURSOR_COMMANDER_WINDOW or
+// select_window. Re-resolved on every call, so a path keeps working after
+// the window restarts under a new ID.
+let windowTarget = getOptionValues('window', 'CURSOR_COMMANDER_WINDOW')[0];
+
+// Parses --timeout / CURSOR_COMMANDER_TIMEOUT values: "<ms>" sets the default
+// for every tool, "<tool>=<ms>" one tool's limit. Values may be comma lists.
+function parseTimeouts(values) {
+	const timeouts = { default: undefined, tools: {} };
+	for (const item of values.flatMap((v) => v.split(','))) {
+		const match = /^\s*(?:([\w-]+)\s*=\s*)?(\d+)\s*$/.exec(item);
+		if (!match || Number(match[2]) <= 0) {
+			console.error(`cursor-commander: ignoring invalid timeout "${item}"; expected <ms> or <tool>=<ms>`);
+			continue;
+		}
+		if (match[1]) { timeouts.tools[match[1]] = Number(match[2]); }
+		else { timeouts.default = Number(match[2]); }
+	}
+	return timeouts;
+}
+
+const timeouts = parseTimeouts(getOptionValues('timeout', 'CURSOR_COMMANDER_TIMEOUT'));
+
+// How long one call to a tool may take: the limit set for the tool, else the
+// default, or the extension's hint for slow tools if that is longer. Arguments
+// that make the command wait on purpose (timeoutMs, waitMs) raise the limit
+// to cover the wait.
+function callTimeout(tool, hintMs = 0, args = {}) {
+	const limit = timeouts.tools[tool] ?? Math.max(hintMs, timeouts.default ?? DEFAULT_CALL_TIMEOUT_MS);
+	const waitMs = Math.max(Number(args.timeoutMs) || 0, Number(args.waitMs) || 0);
+	return waitMs ? Math.max(limit, waitMs + TIMEOUT_MARGIN_MS) : limit;
+}
+
+function findTargetWindow(entries, target) {
+	const byId = entries.find((e) => e.id === target);
+	if (byId) { return byId; }
+	// Anything that is not an absolute path is taken to be a registry ID
+	const entry = isAbsolute(target) && selectWindow(entries, resolve(target), { fallback: false });
+	if (!entry) {
+		throw Object.assign(new Error(
+			`No running Cursor window matches "${target}". ` +
+			'Use list_windows to see the windows that are running.'
+		), { code: 'NO_WINDOW' });
+	}
+	return entry;
+}
+
+function findWindow(entries) {
+	if (windowTarget) { return findTargetWindow(entries, windowTarget); }
+	return selectWindow(entries, process.cwd());
+}
+
+function getConnection() {
+	const entry = findWindow(readRegistry());
+	if (entry) { return { port: entry.port, token: entry.token, window: entry }; }
+
 	const cwd = process.cwd();
-	const key = sanitizeWorkspacePath(cwd);
 	const candidates = [
-		join(PORTS_DIR, key),
+		join(PORTS_DIR, sanitizeWorkspacePath(cwd)),
 		join(PORTS_DIR, '_default'),
 		LEGACY_PORT_FILE,
 	];
 	for (const candidate of candidates) {
 		try {
-			return parseInt(readFileSync(candidate, 'utf-8').trim(), 10);
+			return { ...readPortFile(candidate), window: null };
 		} catch {
 			continue;
 		}
 	}
-	throw new Error(
+	throw Object.assign(new Error(
 		`Cursor Commander extension is not running for workspace ${cwd}. ` +
-		'Install the .vsix and restart Cursor.'
-	);
+		'Install the .vsix and restart Cursor, or use list_windows to see the windows that are running.'
+	), { code: 'NO_WINDOW' });
 }
 
-async function sendCommand(command, args = {}) {
-	const port = getPort();
-	const res = await fetch(`http://127.0.0.1:${port}`, {
-		method: 'POST',
-		headers: { 'Content-Type': 'application/json' },
-		body: JSON.stringify({ command, args }),
-	});
-	const data = await res.json();
+function describeWindow(entry) {
+	const { token, ...info } = entry;
+	return {
+		...info,
+		heartbeatAgeMs: Date.now() - entry.heartbeat,
+		stale: !isFresh(entry),
+	};
+}
+
+function listWindows() {
+	const cwd = process.cwd();
+	const entries = readRegistry();
+	let selected;
+	try {
+		selected = findWindow(entries);
+	} catch {
+		selected = undefined;
+	}
+	return {
+		cwd,
+		target: windowTarget ?? null,
+		windows: entries.map((entry) => ({
+			...describeWindow(entry),
+			matchesCwd: folderMatchLength(entry, cwd) >= 0,
+			selected: entry === selected,
+		})),
+	};
+}
+
+function selectWindowTarget(target) {
+	if (!target) {
+		windowTarget = undefined;
+		connectEventStream();
+		const entry = selectWindow(readRegistry(), process.cwd());
+		return {
+			target: null,
+			window: entry ? describeWindow(entry) : null,
+		};
+	}
+	const entry = findTargetWindow(readRegistry(), target);
+	windowTarget = target;
+	connectEventStream();
+	return { target, window: describeWindow(entry) };
+}
+
+// Which window handled each tool call, so results can name it even when
+// calls run concurrently
+const callContext = new AsyncLocalStorage();
+
+// Names this bridge session and its MCP client in the extension's activity log
+function extensionHeaders(token) {
+	const headers = { 'X-Cursor-Commander-Session': String(process.pid) };
+	const client = server.getClientVersion();
+	if (client) {
+		headers['X-Cursor-Commander-Client'] = `${client.name} ${client.version}`.replace(/[^\x20-\x7e]/g, '?');
+	}
+	if (token) { headers.Authorization = `Bearer ${token}`; }
+	return headers;
+}
+
+function windowLabel(window, port) {
+	if (!window) { return `window on port ${port}`; }
+	return `window ${window.id} (${window.title || window.folders?.join(', ') || 'no folder'})`;
+}
+
+// One request to the extension, answered with its JSON envelope. Failures
+// are turned into messages the agent can act on instead of raw fetch errors.
+async function requestExtension(connection, path, { method = 'GET', body, timeoutMs, what, configurable = false, signal }) {
+	const label = windowLabel(connection.window, connection.port);
+	const headers = extensionHeaders(connection.token);
+	if (body !== undefined) { headers['Content-Type'] = 'application/json'; }
+	try {
+		const res = await fetch(`http://127.0.0.1:${connection.port}${path}`, {
+			method,
+			headers,
+			body: body === undefined ? undefined : JSON.stringify(body),
+			// Aborting drops the connection, which cancels the work in the extension
+			signal: signal ? AbortSignal.any([signal, AbortSignal.timeout(timeoutMs)]) : AbortSignal.timeout(timeoutMs),
+		});
+		const contentType = res.headers.get('content-type') ?? '';
+		if (!contentType.includes('application/json')) {
+			await res.body?.cancel();
+			throw Object.assign(new Error(
+				`The extension on port ${connection.port} answered HTTP ${res.status} ` +
+				`with ${contentType.split(';')[0] || 'no content type'} instead of JSON. ` +
+				'The port may belong to another program or an outdated extension, or the window may be reloading; ' +
+				'use list_windows to check which windows are running.'
+			), { code: 'NOT_JSON', status: res.status });
+		}
+		try {
+			return await res.json();
+		} catch (err) {
+			if (err.name === 'TimeoutError') { throw err; }
+			throw Object.assign(new Error(
+				`The extension on port ${connection.port} sent a malformed JSON response (HTTP ${res.status}).`
+			), { code: 'NOT_JSON', status: res.status });
+		}
+	} catch (err) {
+		if (err.code === 'NOT_JSON') { throw err; }
+		if (signal?.aborted) {
+			throw Object.assign(new Error(`Cancelled ${what} in Cursor ${label}`), { code: 'CANCELLED' });
+		}
+		if (err.name === 'TimeoutError') {
+			throw Object.assign(new Error(
+				`Timed out after ${timeoutMs / 1000}s waiting for ${what} in Cursor ${label}. ` +
+				'It may still finish in the editor, so check before repeating it.' +
+				(configurable ? ` Raise the limit with --timeout ${what}=<ms> or CURSOR_COMMANDER_TIMEOUT.` : '')
+			), { code: 'TIMEOUT' });
+		}
+		const code = err.cause?.code ?? err.code;
+		if (code === 'ECONNREFUSED') {
+			throw Object.assign(new Error(
+				`Cursor ${label} is not accepting connections` +
+				`${connection.window ? ` on port ${connection.port}` : ''}; it may be reloading.`
+			), { code });
+		}
+		throw Object.assign(new Error(
+			`Lost the connection to Cursor ${label}${code ? ` (${code})` : ''} before it answered ${what}; ` +
+			'the window may have reloaded. The command may or may not have run.'
+		), { code });
+	}
+}
+
+// Runs attempt until it succeeds, retrying with backoff while no window is
+// there to answer. Each attempt resolves the connection again, so a window
+// that comes back from a reload on a new port is picked up. Timeouts and
+// dropped connections are not retried: the command may already have run.
+async function withRetries(attempt, signal) {
+	const startedAt = Date.now();
+	for (let retries = 0; ; retries++) {
+		try {
+			return await attempt();
+		} catch (err) {
+			if (err.code !== 'NO_WINDOW' && err.code !== 'ECONNREFUSED') { throw err; }
+			if (signal?.aborted) { throw err; }
+			if (retries === RETRY_DELAYS_MS.length) {
+				const seconds = ((Date.now() - startedAt) / 1000).toFixed(1);
+				err.message += ` Retried ${retries} times over ${seconds}s.`;
+				throw err;
+			}
+			await new Promise((r) => {
+				const timer = setTimeout(r, RETRY_DELAYS_MS[retries]);
+				signal?.addEventListener('abort', () => { clearTimeout(timer); r(); }, { once: true });
+			});
+		}
+	}
+}
+
+async function sendCommand(command, args = {}, { timeoutMs = callTimeout(command), what = command, signal } = {}) {
+	const context = callContext.getStore();
+	const data = await withRetries(() => {
+		const connection = getConnection();
+		if (context) { context.window = connection.window ?? { port: connection.port }; }
+		return requestExtension(connection, '/', {
+			method: 'POST',
+			body: { command, args },
+			timeoutMs,
+			what,
+			configurable: true,
+			signal,
+		});
+	}, signal);
+	if (data.refused) { throw Object.assign(new Error(data.error), { refused: true, reason: data.reason }); }
 	if (!data.success) { throw new Error(data.error); }
 	return data.result;
 }
 
-const TOOLS = [
-	{
-		name: 'save_all_files',
-		description: 'Save all open files in the editor',
-		inputSchema: { type: 'object', properties: {} },
-		handler: () => sendCommand('saveAll'),
-	},
-	{
-		name: 'close_all_editors',
-		description: 'Close all open editor tabs',
-		inputSchema: { type: 'object', properties: {} },
-		handler: () => sendCommand('closeAllEditors'),
-	},
-	{
-		name: 'close_active_editor',
-		description: 'Close the currently active editor tab',
-		inputSchema: { type: 'object', properties: {} },
-		handler: () => sendCommand('closeActiveEditor'),
-	},
-	{
-		name: 'open_file',
-		description: 'Open a file in the editor by absolute path',
-		inputSchema: {
-			type: 'object',
-			properties: {
-				path: { type: 'string', description: 'Absolute path to the file' },
-			},
-			required: ['path'],
-		},
-		handler: (args) => sendCommand('openFile', { path: args.path }),
-	},
+// Tools the bridge answers itself; the rest come from the extension's handshake
+const LOCAL_TOOLS = [
 	{
-		name: 'get_open_files',
-		description: 'List all files currently open in editor tabs',
+		name: 'list_windows',
+		description:
+			'List the Cursor windows running the extension: workspace folders, title, pid, heartbeat age, ' +
+			'and which one this session talks to (the one picked by select_window, or else the one whose folder ' +
+			'most closely contains the working directory).',
 		inputSchema: { type: 'object', properties: {} },
-		handler: () => sendCommand('getOpenFiles'),
+		handler: () => listWindows(),
 	},
 	{
-		name: 'show_message',
-		description: 'Show an information message notification in the editor',
-		inputSchema: {
-			type: 'object',
-			properties: {
-				message: { type: 'string', description: 'Message to display' },
-			},
-			required: ['message'],
-		},
-		handler: (args) => sendCommand('showMessage', { message: args.message }),
-	},
-	{
-		name: 'execute_command',
+		name: 'select_window',
 		description:
-			'Execute any VS Code/Cursor command by ID ' +
-			'(e.g. "editor.action.formatDocument", "workbench.action.toggleSidebarVisibility")',
+			'Send all later tool calls in this session to one Cursor window, chosen by registry ID ' +
+			'(from list_windows) or by an absolute path inside one of its workspace folders. ' +
+			'Omit window to go back to choosing by the working directory.',
 		inputSchema: {
 			type: 'object',
 			properties: {
-				command: { type: 'string', description: 'The VS Code command ID' },
-				args: {
-					type: 'array',
-					description: 'Optional arguments for the command',
-					items: {},
+				window: {
+					type: 'string',
+					description: 'Registry ID, or an absolute path inside one of the window\'s workspace folders',
 				},
 			},
-			required: ['command'],
 		},
-		handler: (args) =>
-			sendCommand('executeCommand', {
-				command: args.command,
-				args: args.args,
-			}),
+		handler: (args) => selectWindowTarget(args.window),
 	},
+];
+
+// Tools from the last handshake, and the connection they came from. A new
+// port or token means the extension restarted or another window was
+// selected, so the handshake is repeated.
+let handshake = { key: null, tools: [] };
+// Clients only need telling about changes to a list they have already fetched
+let toolsListed = false;
+
+async function fetchHandshake(connection) {
+	let data;
+	try {
+		data = await requestExtension(connection, '/handshake', { timeoutMs: HANDSHAKE_TIMEOUT_MS, what: 'the handshake' });
+	} catch (err) {
+		if (err.status !== 405) { throw err; }
+		throw new Error(
+			`The Cursor Commander extension on port ${connection.port} is older than this bridge ` +
+			`(${BRIDGE_VERSION}) and has no handshake. Rebuild and reinstall the .vsix, then reload the window.`
+		);
+	}
+	if (!data.success) { throw new Error(data.error); }
+	const { extensionVersion, protocolVersion, commands } = data.result;
+	if (protocolVersion !== PROTOCOL_VERSION) {
+		throw new Error(
+			`Version mismatch: the Cursor Commander extension ${extensionVersion} speaks protocol ` +
+			`${protocolVersion}, but this bridge (${BRIDGE_VERSION}) speaks protocol ${PROTOCOL_VERSION}. ` +
+			'Install the .vsix and run the bridge from the same version.'
+		);
+	}
+	return commands.map(({ command, tool, description, inputSchema, timeoutMs }) => ({
+		name: tool,
+		description,
+		inputSchema,
+		handler: (args, { signal }) =>
+			sendCommand(command, args, { timeoutMs: callTimeout(tool, timeoutMs, args), what: tool, signal }),
+	}));
+}
+
+async function refreshHandshake(notify) {
+	const connection = getConnection();
+	const key = `${connection.port}:${connection.token}`;
+	if (handshake.key !== key) {
+		const tools = await fetchHandshake(connection);
+		const changed = JSON.stringify(tools) !== JSON.stringify(handshake.tools);
+		handshake = { key, tools };
+		if (changed && notify && toolsListed) { server.sendToolListChanged().catch(() => {}); }
+		connectEventStream();
+	}
+	return handshake.tools;
+}
+
+// Listing tools answers at once with what is there; calling one waits for a
+// reloading window like any other call
+async function getExtensionTools({ notify = false, retry = notify, signal } = {}) {
+	return retry ? withRetries(() => refreshHandshake(notify), signal) : refreshHandshake(notify);
+}
+
+// Editor events streamed from the extension's /events endpoint, forwarded
+// to the client as logging notifications. Follows the same connection as
+// tool calls, reconnecting when the window restarts or another is selected.
+let eventStream = null;
+let eventReconnectTimer = null;
+
+function connectEventStream() {
+	let connection;
+	try {
+		connection = getConnection();
+	} catch {
+		scheduleEventReconnect();
+		return;
+	}
+	const key = `${connection.port}:${connection.token}`;
+	if (eventStream?.key === key) { return; }
+	eventStream?.request.destroy();
+
+	const headers = extensionHeaders(connection.token);
+	const request = http.get(
+		{ host: '127.0.0.1', port: connection.port, path: '/events', headers, agent: false },
+		(res) => {
+			if (res.statusCode !== 200) {
+				res.resume();
+				return;
+			}
+			res.setEncoding('utf-8');
+			let buffer = '';
+			res.on('data', (chunk) => {
+				buffer += chunk;
+				let end;
+				while ((end = buffer.indexOf('\n\n')) !== -1) {
+					forwardEvent(buffer.slice(0, end), connection.window);
+					buffer = buffer.slice(end + 2);
+				}
+			});
+		},
+	);
+	// An open stream must not keep the bridge alive after the client goes away
+	request.on('socket', (socket) => socket.unref());
+	request.on('close', () => {
+		if (eventStream?.request !== request) { return; }
+		eventStream = null;
+		scheduleEventReconnect();
+	});
+	request.on('error', () => {});
+	eventStream = { key, request };
+	// A window that started, restarted or was selected since the last
+	// handshake may offer different tools; a client that listed them while no
+	// extension was up would otherwise never see them
+	if (handshake.key !== key) { refreshHandshake(true).catch(() => {}); }
+}
+
+function scheduleEventReconnect() {
+	if (eventReconnectTimer) { return; }
+	eventReconnectTimer = setTimeout(() => {
+		eventReconnectTimer = null;
+		connectEventStream();
+	}, EVENT_RECONNECT_MS);
+	eventReconnectTimer.unref();
+}
+
+// One server-sent event block; comment lines (keepalives) have no data
+function forwardEvent(block, window) {
+	const data = block.split('\n').find((line) => line.startsWith('data: '));
+	if (!data) { return; }
+	const event = JSON.parse(data.slice('data: '.length));
+	if (window?.id) { event.window = window.id; }
+	server.sendLoggingMessage({ level: 'info', logger: 'cursor-commander', data: event }).catch(() => {});
+	notifyResourceChanges(event);
+}
+
+// Editor state as MCP resources, read through the same commands as the tools
+const EDITOR_RESOURCES = [
 	{
-		name: 'list_terminals',
-		description:
-			'List all open integrated terminals with their name, index, active status, and process ID',
-		inputSchema: { type: 'object', properties: {} },
-		handler: () => sendCommand('listTerminals'),
+		uri: 'editor://open-files',
+		name: 'Open files',
+		description: 'Files open in editor tabs',
+		command: 'getOpenFiles',
 	},
 	{
-		name: 'create_terminal',
-		description: 'Create a new integrated terminal',
-		inputSchema: {
-			type: 'object',
-			properties: {
-				name: { type: 'string', description: 'Display name for the terminal' },
-				cwd: { type: 'string', description: 'Initial working directory' },
-				shellPath: {
-					type: 'string',
-					description: 'Path to the shell executable (e.g. /bin/zsh)',
-				},
-				env: {
-					type: 'object',
-					description: 'Environment variables to set',
-					additionalProperties: { type: 'string' },
-				},
-				show: {
-					type: 'boolean',
-					description: 'Whether to show the terminal after creation (default true)',
-				},
-			},
-		},
-		handler: (args) => sendCommand('createTerminal', args),
+		uri: 'editor://active',
+		name: 'Active editor',
+		description: 'Active editor\'s file, cursor, selections and visible ranges, and the other visible editors',
+		command: 'getEditorState',
 	},
 	{
-		name: 'send_terminal_text',
-		description:
-			'Send text to an integrated terminal. Identify the target by name or index; omit both to use the active terminal.',
-		inputSchema: {
-			type: 'object',
-			properties: {
-				text: { type: 'string', description: 'Text to send to the terminal' },
-				name: {
-					type: 'string',
-					description: 'Name of the target terminal',
-				},
-				index: {
-					type: 'number',
-					description: 'Index of the target terminal (from list_terminals)',
-				},
-				addNewLine: {
-					type: 'boolean',
-					description: 'Whether to append a newline (default true)',
-				},
-			},
-			required: ['text'],
-		},
-		handler: (args) => sendCommand('sendTerminalText', args),
+		uri: 'editor://diagnostics',
+		name: 'Diagnostics',
+		description: 'Problems reported by language servers and linters',
+		command: 'getDiagnostics',
 	},
 	{
-		name: 'show_terminal',
-		description:
-			'Show/focus an integrated terminal. Identify by name or index; omit both to use the active terminal.',
-		inputSchema: {
-			type: 'object',
-			properties: {
-				name: { type: 'string', description: 'Name of the terminal' },
-				index: {
-					type: 'number',
-					description: 'Index of the terminal (from list_terminals)',
-				},
-				preserveFocus: {
-					type: 'boolean',
-					description:
-						'If true, the terminal will not take focus (default true)',
-				},
-			},
-		},
-		handler: (args) => sendCommand('showTerminal', args),
-	},
-	{
-		name: 'close_terminal',
-		description:
-			'Close/dispose an integrated terminal. Identify by name or index; omit both to close the active terminal.',
-		inputSchema: {
-			type: 'object',
-			properties: {
-				name: { type: 'string', description: 'Name of the terminal' },
-				index: {
-					type: 'number',
-					description: 'Index of the terminal (from list_terminals)',
-				},
-			},
-		},
-		handler: (args) => sendCommand('closeTerminal', args),
+		uri: 'editor://terminals',
+		name: 'Terminals',
+		description: 'Integrated terminals and recently closed ones',
+		command: 'listTerminals',
 	},
 ];
 
+// Resource URIs the client subscribed to, as uriKey()s
+const subscriptions = new Set();
+
+// VS Code and Node percent-encode URIs differently, so compare them decoded
+function uriKey(uri) {
+	try {
+		return decodeURIComponent(uri);
+	} catch {
+		return uri;
+	}
+}
+
+function resourcesForEvent(event) {
+	switch (event.type) {
+		case 'documentSaved':
+		case 'documentChanged':
+			return [event.uri];
+		case 'documentClosed':
+			return [event.uri, 'editor://open-files'];
+		case 'tabsChanged':
+			return ['editor://open-files'];
+		case 'activeEditorChanged':
+		case 'selectionChanged':
+			return ['editor://active'];
+		case 'terminalOpened':
+		case 'terminalClosed':
+			return ['editor://terminals'];
+		case 'diagnosticsChanged':
+			return ['editor://diagnostics'];
+		default:
+			return [];
+	}
+}
+
+function notifyResourceChanges(event) {
+	for (const uri of resourcesForEvent(event)) {
+		if (subscriptions.has(uriKey(uri))) {
+			server.sendResourceUpdated({ uri }).catch(() => {});
+		}
+	}
+	// Opening or closing a buffer adds or removes a resource
+	if (event.type === 'tabsChanged' || event.type === 'documentClosed') {
+		server.sendResourceListChanged().catch(() => {});
+	}
+}
+
+// Open buffers are resources too, under their document URI
+async function listDocumentResources() {
+	const files = await sendCommand('getOpenFiles');
+	return [...new Set(files)].map((file) => ({
+		uri: file.startsWith('/') ? pathToFileURL(file).href : file,
+		name: file.split('/').pop(),
+		description: file,
+		mimeType: 'text/plain',
+	}));
+}
+
 const server = new Server(
-	{ name: 'cursor-commander', version: '0.1.0' },
-	{ capabilities: { tools: {} } },
+	{ name: 'cursor-commander', version: BRIDGE_VERSION },
+	{
+		capabilities: {
+			tools: { listChanged: true },
+			resources: { subscribe: true, listChanged: true },
+			logging: {},
+		},
+	},
 );
 
-server.setRequestHandler(ListToolsRequestSchema, async () => ({
-	tools: TOOLS.map(({ handler, ...rest }) => rest),
-}));
+server.setRequestHandler(ListToolsRequestSchema, async () => {
+	toolsListed = true;
+	let extensionTools = [];
+	try {
+		extensionTools = await getExtensionTools();
+	} catch (err) {
+		// Still offer list_windows and select_window; calling any other tool
+		// reports the error
+		console.error(`cursor-commander: ${err.message}`);
+	}
+	return {
+		tools: [...LOCAL_TOOLS, ...extensionTools].map(({ handler, ...rest }) => rest),
+	};
+});
+
+server.setRequestHandler(ListResourcesRequestSchema, async () => {
+	let documents = [];
+	try {
+		documents = await listDocumentResources();
+	} catch {
+		// Extension not reachable; the editor:// resources report why when read
+	}
+	return {
+		resources: [
+			...EDITOR_RESOURCES.map(({ command, ...rest }) => ({ ...rest, mimeType: 'application/json' })),
+			...documents,
+		],
+	};
+});
+
+server.setRequestHandler(ReadResourceRequestSchema, async (request, { signal }) => {
+	const { uri } = request.params;
+	const resource = EDITOR_RESOURCES.find((r) => r.uri === uri);
+	if (resource) {
+		const result = await sendCommand(resource.command, {}, { signal });
+		return { contents: [{ uri, mimeType: 'application/json', text: JSON.stringify(result, null, 2) }] };
+	}
+	if (uri.startsWith('editor://')) { throw new Error(`Unknown resource: ${uri}`); }
+	const document = await sendCommand('readDocument', { uri }, { signal });
+	return { contents: [{ uri, mimeType: 'text/plain', text: document.text }] };
+});
+
+server.setRequestHandler(SubscribeRequestSchema, async (request) => {
+	subscriptions.add(uriKey(request.params.uri));
+	connectEventStream();
+	return {};
+});
+
+server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+	subscriptions.delete(uriKey(request.params.uri));
+	return {};
+});
+
+function windowNote(window) {
+	if (!window) { return []; }
+	if (!window.id) {
+		return [{ type: 'text', text: `Handled by the window on port ${window.port} (legacy port file)` }];
+	}
+	return [{ type: 'text', text: `Handled by ${windowLabel(window)}` }];
+}
 
 let activeToolCalls = 0;
 let idleTimer = null;
 const IDLE_DELAY_MS = 30_000;
 
+// Kept short and never retried, so a hung window cannot hold up tool calls
 async function sendStatusUpdate(status) {
 	try {
-		const port = getPort();
-		await fetch(`http://127.0.0.1:${port}`, {
+		await requestExtension(getConnection(), '/', {
 			method: 'POST',
-			headers: { 'Content-Type': 'application/json' },
-			body: JSON.stringify({ command: 'setAgentStatus', args: { status } }),
+			body: { command: 'setAgentStatus', args: { status } },
+			timeoutMs: STATUS_UPDATE_TIMEOUT_MS,
+			what: 'setAgentStatus',
 		});
 	} catch {
 		// best-effort — extension may not be reachable
 	}
 }
 
-server.setRequestHandler(CallToolRequestSchema, async (request) => {
+// A cancelled call's signal aborts its request to the extension, which then
+// stops the work
+server.setRequestHandler(CallToolRequestSchema, async (request, { signal }) => {
 	if (idleTimer) { clearTimeout(idleTimer); idleTimer = null; }
 	activeToolCalls++;
 	if (activeToolCalls === 1) { await sendStatusUpdate('thinking'); }
 
 	try {
 		const { name, arguments: args } = request.params;
-		const tool = TOOLS.find((t) => t.name === name);
-		if (!tool) {
-			return {
-				content: [{ type: 'text', text: `Unknown tool: ${name}` }],
-				isError: true,
-			};
-		}
+		const context = { window: undefined };
 		try {
-			const result = await tool.handler(args || {});
+			const tool =
+				LOCAL_TOOLS.find((t) => t.name === name) ??
+				(await getExtensionTools({ notify: true, signal })).find((t) => t.name === name);
+			if (!tool) {
+				return {
+					content: [{ type: 'text', text: `Unknown tool: ${name}` }],
+					isError: true,
+				};
+			}
+			const result = await callContext.run(context, () => tool.handler(args || {}, { signal }));
 			const text =
 				result == null ? 'OK' :
 				typeof result === 'string' ? result : JSON.stringify(result, null, 2);
-			return { content: [{ type: 'text', text }] };
+			return { content: [{ type: 'text', text }, ...windowNote(context.window)] };
 		} catch (err) {
+			// Refused by the extension's policy or by the user: not worth retrying
+			const text = err.refused
+				? JSON.stringify({ refused: true, reason: err.reason, message: err.message }, null, 2)
+				: `Error: ${err.message}`;
 			return {
-				content: [{ type: 'text', text: `Error: ${err.message}` }],
+				content: [{ type: 'text', text }, ...windowNote(context.window)],
 				isError: true,
 			};
 		}
@@ -281,3 +741,4 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
 
 const transport = new StdioServerTransport();
 await server.connect(transport);
+connectEventStream();
@@ -0,0 +1,1123 @@
+// Commands the extension serves, with the MCP tool name and input schema the
+// bridge publishes for each. Sent to the bridge in the handshake; every
+// command here needs a case in handleCommand.
+
+// Bump when the request or response format changes incompatibly
+export const PROTOCOL_VERSION = 1;
+
+export type JsonSchema = { [key: string]: any };
+
+export interface CommandSchema {
+	command: string;
+	tool: string;
+	description: string;
+	inputSchema: JsonSchema;
+	/** How long the bridge should wait for the command by default, for commands slower than most */
+	timeoutMs?: number;
+}
+
+const POSITION_SCHEMA: JsonSchema = {
+	type: 'object',
+	description: 'Zero-based position',
+	properties: {
+		line: { type: 'number', description: 'Zero-based line' },
+		character: { type: 'number', description: 'Zero-based character offset in the line' },
+	},
+	required: ['line', 'character'],
+};
+
+const RANGE_SCHEMA: JsonSchema = {
+	type: 'object',
+	description: 'Zero-based range; end is exclusive',
+	properties: { start: POSITION_SCHEMA, end: POSITION_SCHEMA },
+	required: ['start', 'end'],
+};
+
+const SHOW_OPTIONS_PROPERTIES: Record<string, JsonSchema> = {
+	viewColumn: {
+		type: ['number', 'string'],
+		description: 'Editor column 1-9, "active", or "beside" to open next to the active editor (default: active)',
+	},
+	preview: {
+		type: 'boolean',
+		description: 'Open as a preview tab that the next opened file replaces (default: the user\'s setting)',
+	},
+	preserveFocus: {
+		type: 'boolean',
+		description: 'Keep focus where it is, e.g. in the terminal (default false)',
+	},
+};
+
+const DOCUMENT_PROPERTIES: Record<string, JsonSchema> = {
+	path: { type: 'string', description: 'Absolute path to the file' },
+	uri: {
+		type: 'string',
+		description: 'Document URI, e.g. "untitled:Untitled-1" (alternative to path)',
+	},
+};
+
+const SYMBOL_TARGET_PROPERTIES: Record<string, JsonSchema> = {
+	...DOCUMENT_PROPERTIES,
+	position: POSITION_SCHEMA,
+	symbol: {
+		type: 'string',
+		description:
+			'Symbol name instead of a position, e.g. "parseConfig" or "Server.listen". ' +
+			'Looked up in the given file, or across the workspace when no file is given.',
+	},
+};
+
+const DEBUG_SESSION_SCHEMA: JsonSchema = {
+	type: 'string',
+	description: 'Debug session id from start_debugging or list_debug_sessions (default: the active session)',
+};
+
+const SCM_REPOSITORY_SCHEMA: JsonSchema = {
+	type: 'string',
+	description: 'Absolute path inside the repository (default: the first workspace folder\'s repository)',
+};
+
+const SCM_PATHS_SCHEMA: JsonSchema = {
+	type: 'array',
+	items: { type: 'string' },
+	description: 'File paths, absolute or relative to the repository root',
+};
+
+export const COMMANDS: CommandSchema[] = [
+	{
+		command: 'saveAll',
+		tool: 'save_all_files',
+		description: 'Save all open files in the editor',
+		inputSchema: { type: 'object', properties: {} },
+	},
+	{
+		command: 'closeAllEditors',
+		tool: 'close_all_editors',
+		description: 'Close all open editor tabs (the user is asked about unsaved changes; use close_tabs to decide yourself)',
+		inputSchema: { type: 'object', properties: {} },
+	},
+	{
+		command: 'closeActiveEditor',
+		tool: 'close_active_editor',
+		description: 'Close the currently active editor tab',
+		inputSchema: { type: 'object', properties: {} },
+	},
+	{
+		command: 'openFile',
+		tool: 'open_file',
+		description:
+			'Open a file in the editor by absolute path, optionally placing the cursor at a position ' +
+			'or selecting a range and scrolling it into view.',
+		inputSchema: {
+			type: 'object',
+			properties: {
+				path: { type: 'string', description: 'Absolute path to the file' },
+				position: { ...POSITION_SCHEMA, description: 'Zero-based position to put the cursor at' },
+				range: { ...RANGE_SCHEMA, description: 'Zero-based range to select (instead of position)' },
+				...SHOW_OPTIONS_PROPERTIES,
+			},
+			required: ['path'],
+		},
+	},
+	{
+		command: 'openDiff',
+		tool: 'open_diff',
+		description:
+			'Open a diff editor comparing a file with another file, with its version at a Git ref such as HEAD, ' +
+			'or with text you supply (e.g. a proposed rewrite), to show the user what changed.',
+		inputSchema: {
+			type: 'object',
+			properties: {
+				path: { type: 'string', description: 'Absolute path to the file' },
+				comparePath: {
+					type: 'string',
+					description: 'Show path on the left and this file on the right',
+				},
+				ref: {
+					type: 'string',
+					description: 'Show the file at this Git ref (e.g. "HEAD") on the left and the working file on the right',
+				},
+				text: {
+					type: 'string',
+					description: 'Show the file on the left and this text on the right',
+				},
+				title: { type: 'string', description: 'Title of the diff editor tab' },
+				...SHOW_OPTIONS_PROPERTIES,
+			},
+			required: ['path'],
+		},
+	},
+	{
+		command: 'getOpenFiles',
+		tool: 'get_open_files',
+		description:
+			'List all files currently open in editor tabs (untitled and other non-file buffers are listed by URI). ' +
+			'Use list_tabs for the editor groups and the state of each tab.',
+		inputSchema: { type: 'object', properties: {} },
+	},
+	{
+		command: 'listTabs',
+		tool: 'list_tabs',
+		description:
+			'List editor groups by column, each with its tabs in order: label, kind (text, diff, notebook, ' +
+			'notebookDiff, custom, webview, terminal or other), the path(s) shown, and whether it is active, ' +
+			'dirty, pinned or a preview.',
+		inputSchema: { type: 'object', properties: {} },
+	},
+	{
+		command: 'closeTabs',
+		tool: 'close_tabs',
+		description:
+			'Close every tab showing the given files (including diffs of them) without prompting. ' +
+			'Files with unsaved changes are handled by the dirty policy; by default nothing is closed if any are dirty.',
+		inputSchema: {
+			type: 'object',
+			properties: {
+				paths: {
+					type: 'array',
+					items: { type: 'string' },
+					description: 'Absolute paths (or URIs, as list_tabs reports them) of the files to close',
+				},
+				dirty: {
+					type: 'string',
+					enum: ['fail', 'save', 'revert', 'skip'],
+					description:
+						'For files with unsaved changes: fail without closing anything, save or revert them ' +
+						'and close, or leave them open (default fail)',
+				},
+			},
+			required: ['paths'],
+		},
+	},
+	{
+		command: 'moveTab',
+		tool: 'move_tab',
+		description:
+			'Move a file\'s tab to another editor group, keeping unsaved changes and pinned state. ' +
+			'Moving to a column that has no group yet creates one.',
+		inputSchema: {
+			type: 'object',
+			properties: {
+				path: { type: 'string', description: 'Absolute path (or URI) of the file' },
+				toViewColumn: {
+					type: ['number', 'string'],
+					description: 'Column 1-9 to move to, or "beside" for a new group next to the active one',
+				},
+				fromViewColumn: {
+					type: 'number',
+					description: 'Column of the tab to move, if the file is open in several groups',
+				},
+			},
+			required: ['path', 'toViewColumn'],
+		},
+	},
+	{
+		command: 'pinTab',
+		tool: 'pin_tab',
+		description: 'Pin or unpin a file\'s tab. Pinned tabs stay open when other editors are closed.',
+		inputSchema: {
+			type: 'object',
+			properties: {
+				path: { type: 'string', description: 'Absolute path (or URI) of the file' },
+				pinned: { type: 'boolean', description: 'false to unpin (default true)' },
+				viewColumn: { type: 'number', description: 'Column of the tab, if the file is open in several groups' },
+			},
+			required: ['path'],
+		},
+	},
+	{
+		command: 'splitEditor',
+		tool: 'split_editor',
+		description: 'Split an editor into a new group to the right or below, showing the same file in both.',
+		inputSchema: {
+			type: 'object',
+			properties: {
+				path: { type: 'string', description: 'Absolute path (or URI) of the file to split (default: active editor)' },
+				direction: { type: 'string', enum: ['right', 'down'], description: 'Where the new group goes (default right)' },
+				viewColumn: { type: 'number', description: 'Column of the tab, if the file is open in several groups' },
+			},
+		},
+	},
+	{
+		command: 'joinEditorGroups',
+		tool: 'join_editor_groups',
+		description: 'Merge all editor groups into one, keeping every tab open',
+		inputSchema: { type: 'object', properties: {} },
+	},
+	{
+		command: 'showMessage',
+		tool: 'show_message',
+		description: 'Show an information message notification in the editor',
+		inputSchema: {
+			type: 'object',
+			properties: {
+				message: { type: 'string', description: 'Message to display' },
+			},
+			required: ['message'],
+		},
+	},
+	{
+		command: 'executeCommand',
+		tool: 'execute_command',
+		description:
+			'Execute any VS Code/Cursor command by ID ' +
+			'(e.g. "editor.action.formatDocument", "workbench.action.toggleSidebarVisibility")',
+		inputSchema: {
+			type: 'object',
+			properties: {
+				command: { type: 'string', description: 'The VS Code command ID' },
+				args: {
+					type: 'array',
+					description: 'Optional arguments for the command',
+					items: {},
+				},
+			},
+			required: ['command'],
+		},
+	},
+	{
+		command: 'listTerminals',
+		tool: 'list_terminals',
+		description:
+			'List integrated terminals with their stable id, name, index, active status and process ID. ' +
+			'Recently closed terminals are included with status "closed", their exit code and exit reason ' +
+			'(e.g. to tell that a dev server has crashed).',
+		inputSchema: {
+			type: 'object',
+			properties: {
+				includeClosed: {
+					type: 'boolean',
+					description: 'Whether to include recently closed terminals (default true)',
+				},
+			},
+		},
+	},
+	{
+		command: 'createTerminal',
+		tool: 'create_terminal',
+		description:
+			'Create a new integrated terminal. Returns its id, which stays valid for the terminal\'s lifetime.',
+		inputSchema: {
+			type: 'object',
+			properties: {
+				name: { type: 'string', description: 'Display name for the terminal' },
+				cwd: { type: 'string', description: 'Initial working directory' },
+				shellPath: {
+					type: 'string',
+					description: 'Path to the shell executable (e.g. /bin/zsh)',
+				},
+				env: {
+					type: 'object',
+					description: 'Environment variables to set',
+					additionalProperties: { type: 'string' },
+				},
+				show: {
+					type: 'boolean',
+					description: 'Whether to show the terminal after creation (default true)',
+				},
+			},
+		},
+	},
+	{
+		command: 'sendTerminalText',
+		tool: 'send_terminal_text',
+		description:
+			'Send text to an integrated terminal. Identify the target by id, name or index; omit all to use the active terminal.',
+		inputSchema: {
+			type: 'object',
+			properties: {
+				text: { type: 'string', description: 'Text to send to the terminal' },
+				id: {
+					type: 'string',
+					description: 'Stable id of the target terminal (from create_terminal or list_terminals)',
+				},
+				name: {
+					type: 'string',
+					description: 'Name of the target terminal',
+				},
+				index: {
+					type: 'number',
+					description: 'Index of the target terminal (from list_terminals)',
+				},
+				addNewLine: {
+					type: 'boolean',
+					description: 'Whether to append a newline (default true)',
+				},
+			},
+			required: ['text'],
+		},
+	},
+	{
+		command: 'runTerminalCommand',
+		tool: 'run_terminal_command',
+		description:
+			'Run a shell command in an integrated terminal and wait for it to finish. ' +
+			'Returns the exit code, output (long output is truncated from the start) and duration. ' +
+			'Requires terminal shell integration; identify the target by id, name or index, or omit all to use the active terminal.',
+		timeoutMs: 65_000,
+		inputSchema: {
+			type: 'object',
+			properties: {
+				command: { type: 'string', description: 'Command line to run' },
+				id: {
+					type: 'string',
+					description: 'Stable id of the target terminal (from create_terminal or list_terminals)',
+				},
+				name: {
+					type: 'string',
+					description: 'Name of the target terminal',
+				},
+				index: {
+					type: 'number',
+					description: 'Index of the target terminal (from list_terminals)',
+				},
+				timeoutMs: {
+					type: 'number',
+					description:
+						'Maximum time to wait for the command to finish (default 60000). ' +
+						'On timeout the output so far is returned and the command keeps running.',
+				},
+				maxOutputChars: {
+					type: 'number',
+					description: 'Maximum number of output characters to return (default 20000)',
+				},
+			},
+			required: ['command'],
+		},
+	},
+	{
+		command: 'showTerminal',
+		tool: 'show_terminal',
+		description:
+			'Show/focus an integrated terminal. Identify by id, name or index; omit all to use the active terminal.',
+		inputSchema: {
+			type: 'object',
+			properties: {
+				id: {
+					type: 'string',
+					description: 'Stable id of the terminal (from create_terminal or list_terminals)',
+				},
+				name: { type: 'string', description: 'Name of the terminal' },
+				index: {
+					type: 'number',
+					description: 'Index of the terminal (from list_terminals)',
+				},
+				preserveFocus: {
+					type: 'boolean',
+					description:
+						'If true, the terminal will not take focus (default true)',
+				},
+			},
+		},
+	},
+	{
+		command: 'closeTerminal',
+		tool: 'close_terminal',
+		description:
+			'Close/dispose an integrated terminal. Identify by id, name or index; omit all to close the active terminal.',
+		inputSchema: {
+			type: 'object',
+			properties: {
+				id: {
+					type: 'string',
+					description: 'Stable id of the terminal (from create_terminal or list_terminals)',
+				},
+				name: { type: 'string', description: 'Name of the terminal' },
+				index: {
+					type: 'number',
+					description: 'Index of the terminal (from list_terminals)',
+				},
+			},
+		},
+	},
+	{
+		command: 'createAgentTerminal',
+		tool: 'create_agent_terminal',
+		description:
+			'Create a terminal backed by a process the extension owns, so its output can be read back with ' +
+			'read_terminal_output. Runs the given command, or the default shell reading commands from input. ' +
+			'The user sees the terminal and can type into it as usual. Returns the terminal id.',
+		inputSchema: {
+			type: 'object',
+			properties: {
+				command: {
+					type: 'string',
+					description: 'Command line to run (default: the user\'s shell)',
+				},
+				name: { type: 'string', description: 'Display name for the terminal (default "Agent")' },
+				cwd: {
+					type: 'string',
+					description: 'Working directory (default: the first workspace folder)',
+				},
+				env: {
+					type: 'object',
+					description: 'Environment variables to set',
+					additionalProperties: { type: 'string' },
+				},
+				show: {
+					type: 'boolean',
+					description: 'Whether to show the terminal after creation (default true)',
+				},
+			},
+		},
+	},
+	{
+		command: 'readTerminalOutput',
+		tool: 'read_terminal_output',
+		description:
+			'Read the scrollback of an agent terminal. Without an offset, returns the most recent output. ' +
+			'Pass the returned nextOffset on the next call to read only new output. ' +
+			'Also reports whether the process is still running and its exit code.',
+		inputSchema: {
+			type: 'object',
+			properties: {
+				id: {
+					type: 'string',
+					description: 'Stable id of the agent terminal (from create_agent_terminal)',
+				},
+				name: { type: 'string', description: 'Name of the agent terminal' },
+				index: {
+					type: 'number',
+					description: 'Index of the agent terminal (from list_terminals)',
+				},
+				offset: {
+					type: 'number',
+					description: 'Position in the scrollback to read from (from a previous nextOffset)',
+				},
+				maxChars: {
+					type: 'number',
+					description: 'Maximum number of characters to return (default 20000)',
+				},
+			},
+		},
+	},
+	{
+		command: 'sendTerminalKeys',
+		tool: 'send_terminal_keys',
+		description:
+			'Send named keys and/or a signal to an agent terminal. Keys: enter, tab, escape, backspace, ' +
+			'up, down, left, right, home, end, ctrl-c (interrupt), ctrl-d (end of input), ctrl-z. ' +
+			'Use send_terminal_text for plain text.',
+		inputSchema: {
+			type: 'object',
+			properties: {
+				id: {
+					type: 'string',
+					description: 'Stable id of the agent terminal (from create_agent_terminal)',
+				},
+				name: { type: 'string', description: 'Name of the agent terminal' },
+				index: {
+					type: 'number',
+					description: 'Index of the agent terminal (from list_terminals)',
+				},
+				keys: {
+					type: 'array',
+					description: 'Key names to send, in order',
+					items: { type: 'string' },
+				},
+				signal: {
+					type: 'string',
+					description: 'Signal to send to the process group after the keys (e.g. "SIGTERM", "SIGKILL")',
+				},
+			},
+		},
+	},
+	{
+		command: 'resizeTerminal',
+		tool: 'resize_terminal',
+		description:
+			'Resize an agent terminal\'s view. The process runs without a real pty, so it is not told ' +
+			'the new size (no SIGWINCH, and COLUMNS/LINES are not updated).',
+		inputSchema: {
+			type: 'object',
+			properties: {
+				id: {
+					type: 'string',
+					description: 'Stable id of the agent terminal (from create_agent_terminal)',
+				},
+				name: { type: 'string', description: 'Name of the agent terminal' },
+				index: {
+					type: 'number',
+					description: 'Index of the agent terminal (from list_terminals)',
+				},
+				columns: { type: 'number', description: 'Number of columns' },
+				rows: { type: 'number', description: 'Number of rows' },
+			},
+			required: ['columns', 'rows'],
+		},
+	},
+	{
+		command: 'readDocument',
+		tool: 'read_document',
+		description:
+			'Read a document from the editor\'s live buffer, including unsaved changes; works for untitled buffers. ' +
+			'Returns the text plus isDirty, version (for apply_text_edits\' expectedVersion), languageId, eol and encoding.',
+		inputSchema: {
+			type: 'object',
+			properties: {
+				...DOCUMENT_PROPERTIES,
+				startLine: { type: 'number', description: 'First zero-based line to return (default 0)' },
+				endLine: {
+					type: 'number',
+					description: 'Last zero-based line to return, inclusive (default: last line)',
+				},
+				lineNumbers: {
+					type: 'boolean',
+					description: 'Prefix each line with its zero-based line number (default false)',
+				},
+			},
+		},
+	},
+	{
+		command: 'getEditorState',
+		tool: 'get_editor_state',
+		description:
+			'Get what the user is looking at: the active editor\'s file, language, cursor, selections ' +
+			'(with selected text), visible ranges and view column, plus the other visible editors.',
+		inputSchema: { type: 'object', properties: {} },
+	},
+	{
+		command: 'setEditorState',
+		tool: 'set_editor_state',
+		description:
+			'Set selections and/or reveal a range in an editor, to point the user at a specific spot. ' +
+			'Uses the active editor unless path or uri is given, in which case that document is shown. ' +
+			'Without reveal, the primary selection is revealed. Returns the resulting editor state.',
+		inputSchema: {
+			type: 'object',
+			properties: {
+				...DOCUMENT_PROPERTIES,
+				selections: {
+					type: 'array',
+					description: 'Selections to set; the first is the primary selection',
+					items: {
+						type: 'object',
+						properties: {
+							anchor: POSITION_SCHEMA,
+							active: { ...POSITION_SCHEMA, description: 'Cursor end of the selection (default: anchor)' },
+						},
+						required: ['anchor'],
+					},
+				},
+				reveal: RANGE_SCHEMA,
+				revealType: {
+					type: 'string',
+					enum: ['default', 'inCenter', 'inCenterIfOutsideViewport', 'atTop'],
+					description: 'How to scroll the range into view (default inCenterIfOutsideViewport)',
+				},
+				viewColumn: { type: 'number', description: 'Editor column to show the document in' },
+				preserveFocus: {
+					type: 'boolean',
+					description: 'Keep focus where it is when showing a document (default false)',
+				},
+			},
+		},
+	},
+	{
+		command: 'getDiagnostics',
+		tool: 'get_diagnostics',
+		description:
+			'Get problems (errors, warnings, ...) reported by language servers and linters, like the Problems panel. ' +
+			'Returns a cursor to pass to get_diagnostic_changes after editing.',
+		inputSchema: {
+			type: 'object',
+			properties: {
+				...DOCUMENT_PROPERTIES,
+				glob: {
+					type: 'string',
+					description: 'Only files matching this glob, relative to the workspace (e.g. "src/**/*.ts")',
+				},
+				severity: {
+					type: 'string',
+					enum: ['error', 'warning', 'information', 'hint'],
+					description: 'Minimum severity to include (e.g. "warning" includes errors and warnings)',
+				},
+				source: { type: 'string', description: 'Only diagnostics from this source (e.g. "ts", "eslint")' },
+				maxResults: {
+					type: 'number',
+					description: 'Maximum number of diagnostics to return (default 500)',
+				},
+			},
+		},
+	},
+	{
+		command: 'getDiagnosticChanges',
+		tool: 'get_diagnostic_changes',
+		description:
+			'Get diagnostics added and removed since a cursor from get_diagnostics (or a previous call), ' +
+			'e.g. to check whether an edit introduced type errors. ' +
+			'Optionally waits for language servers to report a change. Accepts the same filters as get_diagnostics.',
+		inputSchema: {
+			type: 'object',
+			properties: {
+				since: { type: 'number', description: 'Cursor returned by a previous call' },
+				waitMs: {
+					type: 'number',
+					description: 'If no matching change has happened yet, wait up to this long for one (default 0)',
+				},
+				...DOCUMENT_PROPERTIES,
+				glob: { type: 'string', description: 'Only files matching this glob, relative to the workspace' },
+				severity: {
+					type: 'string',
+					enum: ['error', 'warning', 'information', 'hint'],
+					description: 'Minimum severity to include',
+				},
+				source: { type: 'string', description: 'Only diagnostics from this source' },
+			},
+			required: ['since'],
+		},
+	},
+	{
+		command: 'findDefinition',
+		tool: 'find_definition',
+		description:
+			'Go to definition using the editor\'s language servers. Target a file and position, or a symbol name.',
+		inputSchema: { type: 'object', properties: SYMBOL_TARGET_PROPERTIES },
+	},
+	{
+		command: 'findReferences',
+		tool: 'find_references',
+		description:
+			'Find all references using the editor\'s language servers. Target a file and position, or a symbol name.',
+		inputSchema: {
+			type: 'object',
+			properties: {
+				...SYMBOL_TARGET_PROPERTIES,
+				maxResults: { type: 'number', description: 'Maximum number of references (default 200)' },
+			},
+		},
+	},
+	{
+		command: 'getHover',
+		tool: 'get_hover',
+		description:
+			'Get hover information (type signature, docs) from the language servers. ' +
+			'Target a file and position, or a symbol name.',
+		inputSchema: { type: 'object', properties: SYMBOL_TARGET_PROPERTIES },
+	},
+	{
+		command: 'getDocumentSymbols',
+		tool: 'get_document_symbols',
+		description:
+			'List the symbols (classes, functions, methods, ...) defined in a document, with qualified names and ranges',
+		inputSchema: { type: 'object', properties: DOCUMENT_PROPERTIES },
+	},
+	{
+		command: 'findWorkspaceSymbols',
+		tool: 'find_workspace_symbols',
+		description: 'Search symbols across the workspace by name using the language servers',
+		inputSchema: {
+			type: 'object',
+			properties: {
+				query: { type: 'string', description: 'Symbol name or fuzzy query' },
+				maxResults: { type: 'number', description: 'Maximum number of symbols (default 200)' },
+			},
+			required: ['query'],
+		},
+	},
+	{
+		command: 'getCallHierarchy',
+		tool: 'get_call_hierarchy',
+		description:
+			'List the callers (incoming) or callees (outgoing) of a function. Target a file and position, or a symbol name.',
+		inputSchema: {
+			type: 'object',
+			properties: {
+				...SYMBOL_TARGET_PROPERTIES,
+				direction: {
+					type: 'string',
+					enum: ['incoming', 'outgoing'],
+					description: 'incoming: who calls it; outgoing: what it calls (default incoming)',
+				},
+			},
+		},
+	},
+	{
+		command: 'renameSymbol',
+		tool: 'rename_symbol',
+		description:
+			'Rename a symbol across the workspace using the language servers. ' +
+			'First call with newName to preview: returns the files and ranges that would change and an actionId. ' +
+			'Then call again with just that actionId to apply the rename.',
+		inputSchema: {
+			type: 'object',
+			properties: {
+				...SYMBOL_TARGET_PROPERTIES,
+				newName: { type: 'string', description: 'New name for the symbol (preview step)' },
+				actionId: { type: 'string', description: 'actionId from the preview, to apply it' },
+			},
+		},
+	},
+	{
+		command: 'getCodeActions',
+		tool: 'get_code_actions',
+		description:
+			'List code actions (quick fixes, refactorings such as extract function, organize imports) ' +
+			'for a range of a document, each with a summary of the edit it would make and an actionId ' +
+			'to pass to apply_code_action.',
+		inputSchema: {
+			type: 'object',
+			properties: {
+				...DOCUMENT_PROPERTIES,
+				range: RANGE_SCHEMA,
+				position: POSITION_SCHEMA,
+				kind: {
+					type: 'string',
+					description:
+						'Only actions of this kind, e.g. "quickfix", "refactor.extract", "source.organizeImports"',
+				},
+			},
+		},
+	},
+	{
+		command: 'applyCodeAction',
+		tool: 'apply_code_action',
+		description: 'Apply a code action previewed by get_code_actions, by its actionId',
+		inputSchema: {
+			type: 'object',
+			properties: {
+				actionId: { type: 'string', description: 'actionId from get_code_actions' },
+			},
+			required: ['actionId'],
+		},
+	},
+	{
+		command: 'applyTextEdits',
+		tool: 'apply_text_edits',
+		description:
+			'Apply range replacements and inserts to a document\'s live buffer as one undoable edit ' +
+			'(unsaved user changes are kept; nothing is saved). All edits refer to the document before editing ' +
+			'and must not overlap. Returns the new document version and the changed line ranges.',
+		inputSchema: {
+			type: 'object',
+			properties: {
+				...DOCUMENT_PROPERTIES,
+				edits: {
+					type: 'array',
+					description: 'Edits to apply. Give range to replace text, or position to insert.',
+					items: {
+						type: 'object',
+						properties: {
+							range: RANGE_SCHEMA,
+							position: POSITION_SCHEMA,
+							text: { type: 'string', description: 'Replacement or inserted text' },
+						},
+						required: ['text'],
+					},
+				},
+				expectedVersion: {
+					type: 'number',
+					description: 'Fail instead of editing if the document version differs (from read_document)',
+				},
+			},
+			required: ['edits'],
+		},
+	},
+	{
+		command: 'replaceInDocument',
+		tool: 'replace_in_document',
+		description:
+			'Find and replace in a document\'s live buffer as one undoable edit. ' +
+			'Fails without editing if there are no matches or more than maxMatches.',
+		inputSchema: {
+			type: 'object',
+			properties: {
+				...DOCUMENT_PROPERTIES,
+				find: { type: 'string', description: 'Text or regular expression to find' },
+				replace: {
+					type: 'string',
+					description: 'Replacement text; with regex, $1, $<name> and $& refer to the match',
+				},
+				regex: {
+					type: 'boolean',
+					description: 'Treat find as a JavaScript regular expression (multiline mode; default false)',
+				},
+				caseSensitive: { type: 'boolean', description: 'Match case (default true)' },
+				maxMatches: {
+					type: 'number',
+					description: 'Refuse to edit if more than this many matches are found (default 100)',
+				},
+				expectedVersion: {
+					type: 'number',
+					description: 'Fail instead of editing if the document version differs (from read_document)',
+				},
+			},
+			required: ['find', 'replace'],
+		},
+	},
+	{
+		command: 'listTasks',
+		tool: 'list_tasks',
+		description:
+			'List the workspace tasks from tasks.json and task providers (npm scripts, tsc, ...), ' +
+			'with their source, group (build, test), folder and problem matchers.',
+		inputSchema: {
+			type: 'object',
+			properties: {
+				type: { type: 'string', description: 'Only tasks of this type, e.g. "npm" or "shell"' },
+			},
+		},
+	},
+	{
+		command: 'runTask',
+		tool: 'run_task',
+		description:
+			'Run a workspace task by name and wait for it to finish. Returns the exit code, duration and the ' +
+			'current problems its problem matchers reported, e.g. compile errors, by file. ' +
+			'Background tasks such as watchers keep running after the timeout.',
+		timeoutMs: 65_000,
+		inputSchema: {
+			type: 'object',
+			properties: {
+				name: { type: 'string', description: 'Task name, as shown by list_tasks' },
+				source: { type: 'string', description: 'Task source, e.g. "Workspace" or "npm", when several share the name' },
+				folder: { type: 'string', description: 'Workspace folder name or path, when several share the name' },
+				timeoutMs: {
+					type: 'number',
+					description:
+						'Maximum time to wait for the task to finish (default 60000). ' +
+						'On timeout the task keeps running.',
+				},
+			},
+			required: ['name'],
+		},
+	},
+	{
+		command: 'getScmStatus',
+		tool: 'get_scm_status',
+		description:
+			'Get a Git repository\'s status as the Source Control view shows it: branch, upstream, ahead/behind, ' +
+			'and staged, unstaged, untracked and conflicting files.',
+		inputSchema: { type: 'object', properties: { repository: SCM_REPOSITORY_SCHEMA } },
+	},
+	{
+		command: 'stageFiles',
+		tool: 'stage_files',
+		description: 'Stage files, like "git add". Returns the repository status afterwards.',
+		inputSchema: {
+			type: 'object',
+			properties: {
+				paths: { ...SCM_PATHS_SCHEMA, description: 'Files to stage' },
+				repository: SCM_REPOSITORY_SCHEMA,
+			},
+			required: ['paths'],
+		},
+	},
+	{
+		command: 'unstageFiles',
+		tool: 'unstage_files',
+		description: 'Unstage files, keeping their changes in the working tree. Returns the repository status afterwards.',
+		inputSchema: {
+			type: 'object',
+			properties: {
+				paths: { ...SCM_PATHS_SCHEMA, description: 'Files to unstage' },
+				repository: SCM_REPOSITORY_SCHEMA,
+			},
+			required: ['paths'],
+		},
+	},
+	{
+		command: 'getFileDiff',
+		tool: 'get_file_diff',
+		description:
+			'Get the unified diff of a tracked file against HEAD: all its changes, or only the staged ones.',
+		inputSchema: {
+			type: 'object',
+			properties: {
+				path: { type: 'string', description: 'File path, absolute or relative to the repository root' },
+				staged: { type: 'boolean', description: 'Diff the staged version instead of the working tree (default false)' },
+				maxChars: { type: 'number', description: 'Maximum number of characters to return (default 20000)' },
+				repository: SCM_REPOSITORY_SCHEMA,
+			},
+			required: ['path'],
+		},
+	},
+	{
+		command: 'getCommitMessage',
+		tool: 'get_commit_message',
+		description: 'Read the commit message box in the Source Control view.',
+		inputSchema: { type: 'object', properties: { repository: SCM_REPOSITORY_SCHEMA } },
+	},
+	{
+		command: 'setCommitMessage',
+		tool: 'set_commit_message',
+		description:
+			'Fill in the commit message box in the Source Control view, for the user to review and commit. ' +
+			'Does not commit.',
+		inputSchema: {
+			type: 'object',
+			properties: {
+				message: { type: 'string', description: 'Commit message' },
+				show: { type: 'boolean', description: 'Also open the Source Control view (default false)' },
+				repository: SCM_REPOSITORY_SCHEMA,
+			},
+			required: ['message'],
+		},
+	},
+	{
+		command: 'listLaunchConfigurations',
+		tool: 'list_launch_configurations',
+		description: 'List the debug launch configurations and compounds from launch.json in each workspace folder.',
+		inputSchema: { type: 'object', properties: {} },
+	},
+	{
+		command: 'startDebugging',
+		tool: 'start_debugging',
+		description:
+			'Start a debug session from a launch configuration or compound by name. ' +
+			'Returns the sessions it started; later debug tools use the active session unless given a sessionId.',
+		inputSchema: {
+			type: 'object',
+			properties: {
+				name: { type: 'string', description: 'Name of the launch configuration or compound' },
+				folder: {
+					type: 'string',
+					description: 'Workspace folder name or path whose launch.json to use (default: the first that has it)',
+				},
+				noDebug: { type: 'boolean', description: 'Run without debugging (default false)' },
+			},
+			required: ['name'],
+		},
+	},
+	{
+		command: 'stopDebugging',
+		tool: 'stop_debugging',
+		description: 'Stop a debug session, or the active one.',
+		inputSchema: { type: 'object', properties: { sessionId: DEBUG_SESSION_SCHEMA } },
+	},
+	{
+		command: 'listDebugSessions',
+		tool: 'list_debug_sessions',
+		description: 'List the running debug sessions and which one is active.',
+		inputSchema: { type: 'object', properties: {} },
+	},
+	{
+		command: 'listBreakpoints',
+		tool: 'list_breakpoints',
+		description: 'List all breakpoints with their location, condition and whether they are enabled.',
+		inputSchema: { type: 'object', properties: {} },
+	},
+	{
+		command: 'addBreakpoint',
+		tool: 'add_breakpoint',
+		description:
+			'Add a breakpoint on a line, optionally conditional, with a hit count, or as a logpoint. ' +
+			'Breakpoints also apply to sessions that are already running.',
+		inputSchema: {
+			type: 'object',
+			properties: {
+				path: { type: 'string', description: 'Absolute path to the file' },
+				line: { type: 'number', description: 'Zero-based line' },
+				condition: { type: 'string', description: 'Expression; only break when it is true' },
+				hitCondition: { type: 'string', description: 'Only break after this many hits, e.g. "5" or ">= 10"' },
+				logMessage: {
+					type: 'string',
+					description: 'Log this message instead of breaking; {expression} parts are interpolated',
+				},
+			},
+			required: ['path', 'line'],
+		},
+	},
+	{
+		command: 'removeBreakpoints',
+		tool: 'remove_breakpoints',
+		description: 'Remove breakpoints by id, by file and line, by file, or all of them.',
+		inputSchema: {
+			type: 'object',
+			properties: {
+				id: { type: 'string', description: 'Breakpoint id from list_breakpoints or add_breakpoint' },
+				path: { type: 'string', description: 'Remove the breakpoints in this file' },
+				line: { type: 'number', description: 'With path, only the breakpoints on this zero-based line' },
+				all: { type: 'boolean', description: 'Remove every breakpoint' },
+			},
+		},
+	},
+	{
+		command: 'getStackTrace',
+		tool: 'get_stack_trace',
+		description:
+			'Get the stack frames of a stopped thread: the thread focused in the editor, or else the first ' +
+			'thread of the session. Frame ids are for get_variables and evaluate_expression.',
+		inputSchema: {
+			type: 'object',
+			properties: {
+				sessionId: DEBUG_SESSION_SCHEMA,
+				threadId: { type: 'number', description: 'Thread id (default: the focused or first thread)' },
+				levels: { type: 'number', description: 'Maximum number of frames to return (default 20)' },
+			},
+		},
+	},
+	{
+		command: 'getVariables',
+		tool: 'get_variables',
+		description:
+			'Get the scopes of a stack frame (locals, closure, globals, ...) with their variables, ' +
+			'or expand one structured variable by its variablesReference.',
+		inputSchema: {
+			type: 'object',
+			properties: {
+				sessionId: DEBUG_SESSION_SCHEMA,
+				frameId: { type: 'number', description: 'Frame id from get_stack_trace (default: the top frame)' },
+				variablesReference: {
+					type: 'number',
+					description: 'Expand this variable or scope instead of listing the frame\'s scopes',
+				},
+			},
+		},
+	},
+	{
+		command: 'evaluateExpression',
+		tool: 'evaluate_expression',
+		description:
+			'Evaluate an expression in the debugger, in the context of a stack frame, like the Debug Console. ' +
+			'The expression runs in the program being debugged and can change its state.',
+		inputSchema: {
+			type: 'object',
+			properties: {
+				expression: { type: 'string', description: 'Expression to evaluate' },
+				sessionId: DEBUG_SESSION_SCHEMA,
+				frameId: { type: 'number', description: 'Frame id from get_stack_trace (default: the top frame)' },
+				context: {
+					type: 'string',
+					enum: ['repl', 'watch', 'hover'],
+					description: 'How the debugger should treat the expression (default repl)',
+				},
+			},
+			required: ['expression'],
+		},
+	},
+	{
+		command: 'runBatch',
+		tool: 'run_batch',
+		description:
+			'Run several commands in order in one round trip, e.g. open a file, set the selection, format and save. ' +
+			'Returns each step\'s status and result. Steps are not rolled back: with stopOnError (the default) ' +
+			'the steps after a failure are skipped, with continueOnError they still run.',
+		timeoutMs: 120_000,
+		inputSchema: {
+			type: 'object',
+			properties: {
+				steps: {
+					type: 'array',
+					items: {
+						type: 'object',
+						properties: {
+							command: {
+								type: 'string',
+								description: 'Tool name (e.g. "open_file") or extension command name (e.g. "openFile")',
+							},
+							args: { type: 'object', description: 'Arguments, as for the tool' },
+						},
+						required: ['command'],
+					},
+				},
+				mode: {
+					type: 'string',
+					enum: ['stopOnError', 'continueOnError'],
+					description: 'What to do when a step fails or is refused (default stopOnError)',
+				},
+			},
+			required: ['steps'],
+		},
+	},
+];
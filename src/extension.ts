@@ -3,9 +3,28 @@ import * as http from 'http';
 import * as fs from 'fs';
 import * as path from 'path';
 import * as os from 'os';
+import * as crypto from 'crypto';
+import { spawn, ChildProcess } from 'child_process';
+import { COMMANDS, PROTOCOL_VERSION } from './commands';
 
 const PORTS_DIR = path.join(os.homedir(), '.cursor-commander-ports');
 const IDLE_AFTER_MS = 8000;
+const SHELL_INTEGRATION_WAIT_MS = 3000;
+const DEFAULT_COMMAND_TIMEOUT_MS = 60_000;
+const DEFAULT_MAX_OUTPUT_CHARS = 20_000;
+const MAX_CLOSED_TERMINALS = 20;
+const AGENT_SCROLLBACK_CHARS = 1_000_000;
+const MAX_DIAGNOSTIC_CHANGES = 1000;
+const DEFAULT_MAX_DIAGNOSTICS = 500;
+const DEFAULT_MAX_LOCATIONS = 200;
+const DEFAULT_STACK_LEVELS = 20;
+const MAX_PENDING_ACTIONS = 50;
+const CODE_ACTION_RESOLVE_COUNT = 20;
+const HEARTBEAT_INTERVAL_MS = 10_000;
+const EVENT_THROTTLE_MS = 500;
+const MAX_APPROVAL_DETAIL_CHARS = 1000;
+const MAX_LOGGED_STRING_CHARS = 200;
+const SECRET_ARG_PATTERN = /token|password|passwd|secret|api_?key|authorization|credential/i;
 
 function sanitizeWorkspacePath(fsPath: string): string {
 	return fsPath.replace(/^\//, '').replace(/\//g, '-');
@@ -17,20 +36,77 @@ function getWorkspaceKey(): string | undefined {
 	return sanitizeWorkspacePath(folders[0].uri.fsPath);
 }
 
-function getPortFilePath(): string {
-	const key = getWorkspaceKey();
-	if (key) {
-		return path.join(PORTS_DIR, key);
-	}
-	return path.join(PORTS_DIR, '_default');
+// One registry entry per window; the extension host pid tells windows on the
+// same folder apart.
+function getRegistryId(): string {
+	return `${getWorkspaceKey() ?? '_default'}-${process.pid}`;
 }
 
 let server: http.Server | undefined;
-let portFilePath: string | undefined;
+let registryId: string | undefined;
+let registryFilePath: string | undefined;
+let heartbeatInterval: ReturnType<typeof setInterval> | undefined;
+const startedAt = Date.now();
+// Per-session secret the bridge must send as a bearer token
+let authToken = '';
+let extensionVersion = '';
+const eventStreams = new Set<http.ServerResponse>();
+let nextEventId = 1;
+const pendingEvents = new Map<string, ReturnType<typeof setTimeout>>();
+// Tools (or execute_command IDs) the user chose "Allow for session" for
+const sessionApprovals = new Set<string>();
+// One per POST being handled; cancelled when its connection drops
+const inFlightRequests = new Set<vscode.CancellationTokenSource>();
 let agentStatusItem: vscode.StatusBarItem;
+let activityLog: vscode.OutputChannel;
+let activityLogWrite = Promise.resolve();
 let flashInterval: ReturnType<typeof setInterval> | undefined;
 let flashOn = true;
 
+// Stable terminal IDs, valid for a terminal's lifetime (names and indices shift)
+interface ClosedTerminal {
+	id: string;
+	name: string;
+	exitCode: number | null;
+	exitReason: string;
+	closedAt: string;
+}
+const EXIT_REASONS = ['unknown', 'shutdown', 'process', 'user', 'extension'];
+const terminalIds = new WeakMap<vscode.Terminal, string>();
+const terminalsById = new Map<string, vscode.Terminal>();
+let closedTerminals: ClosedTerminal[] = [];
+let nextTerminalId = 1;
+const agentTerminals = new Map<string, AgentTerminal>();
+
+// Diagnostics as last seen per document, so changes can be reported as deltas
+interface JsonDiagnostic {
+	severity: string;
+	message: string;
+	range: JsonRange;
+	source: string | null;
+	code: string | number | null;
+	relatedInformation: { path: string; range: JsonRange; message: string }[];
+}
+interface DiagnosticChange { seq: number; uri: vscode.Uri; added: JsonDiagnostic[]; removed: JsonDiagnostic[] }
+const diagnosticSnapshot = new Map<string, JsonDiagnostic[]>();
+let diagnosticChanges: DiagnosticChange[] = [];
+let diagnosticSeq = 0;
+let diagnosticWaiters: (() => void)[] = [];
+
+// Previewed refactorings waiting to be applied by action ID
+interface PendingAction {
+	title: string;
+	edit?: vscode.WorkspaceEdit;
+	command?: vscode.Command;
+	// Versions of the open documents the edit touches, to refuse stale edits
+	versions: Map<string, number>;
+}
+const pendingActions = new Map<string, PendingAction>();
+let nextActionId = 1;
+
+// Running debug sessions by id, so tools can address one other than the active session
+const debugSessions = new Map<string, vscode.DebugSession>();
+
 // Agent activity detection via HTTP request tracking
 let lastRequestTime = 0;
 let activityPollInterval: ReturnType<typeof setInterval> | undefined;
@@ -92,25 +168,126 @@ export function activate(context: vscode.ExtensionContext) {
 
 	startActivityPolling();
 
+	vscode.window.terminals.forEach(getTerminalId);
+	context.subscriptions.push(
+		vscode.window.onDidOpenTerminal(terminal => {
+			emitEvent('terminalOpened', { id: getTerminalId(terminal), name: terminal.name });
+		}),
+		vscode.window.onDidCloseTerminal(recordClosedTerminal),
+	);
+
+	context.subscriptions.push(
+		vscode.workspace.onDidSaveTextDocument(document => {
+			if (!isUserDocument(document)) { return; }
+			emitEvent('documentSaved', { ...documentEventData(document), version: document.version });
+		}),
+		vscode.workspace.onDidChangeTextDocument(onDocumentChanged),
+		vscode.workspace.onDidCloseTextDocument(document => {
+			if (!isUserDocument(document)) { return; }
+			emitEvent('documentClosed', documentEventData(document));
+		}),
+		vscode.window.onDidChangeActiveTextEditor(editor => {
+			emitEvent('activeEditorChanged', editor ? documentEventData(editor.document) : { path: null, uri: null });
+		}),
+		vscode.window.onDidChangeTextEditorSelection(e => {
+			if (!isUserDocument(e.textEditor.document)) { return; }
+			emitThrottled(`selectionChanged:${e.textEditor.document.uri.toString()}`, () => {
+				emitEvent('selectionChanged', documentEventData(e.textEditor.document));
+			});
+		}),
+		vscode.window.tabGroups.onDidChangeTabs(() => {
+			emitThrottled('tabsChanged', () => emitEvent('tabsChanged', {}));
+		}),
+		vscode.debug.onDidStartDebugSession(session => {
+			debugSessions.set(session.id, session);
+			emitEvent('debugSessionStarted', { id: session.id, name: session.name, debugType: session.type });
+		}),
+		vscode.debug.onDidTerminateDebugSession(session => {
+			debugSessions.delete(session.id);
+			emitEvent('debugSessionStopped', { id: session.id, name: session.name, debugType: session.type });
+		}),
+	);
+
+	if (vscode.debug.activeDebugSession) {
+		debugSessions.set(vscode.debug.activeDebugSession.id, vscode.debug.activeDebugSession);
+	}
+
+	for (const [uri, diagnostics] of vscode.languages.getDiagnostics()) {
+		diagnosticSnapshot.set(uri.toString(), diagnostics.map(toJsonDiagnostic));
+	}
+	context.subscriptions.push(vscode.languages.onDidChangeDiagnostics(recordDiagnosticChanges));
+
+	activityLog = vscode.window.createOutputChannel('Cursor Commander');
+	context.subscriptions.push(activityLog);
+
+	authToken = crypto.randomBytes(32).toString('hex');
+
+	extensionVersion = context.extension.packageJSON.version;
+
 	server = http.createServer(async (req, res) => {
-		if (req.method !== 'POST') {
+		const getRoute = req.method === 'GET' && (req.url === '/handshake' || req.url === '/events')
+			? req.url
+			: undefined;
+		if (req.method !== 'POST' && !getRoute) {
 			res.writeHead(405);
 			res.end();
 			return;
 		}
 
+		const session = requestSession(req);
+		const rejection = checkRequestOrigin(req) ?? checkAuthorization(req);
+		if (rejection) {
+			res.writeHead(rejection.status, { 'Content-Type': 'application/json' });
+			res.end(JSON.stringify({ success: false, error: rejection.error }));
+			recordActivity({ ...session, command: null, durationMs: 0, success: false, error: rejection.error });
+			return;
+		}
+
+		if (getRoute === '/handshake') {
+			res.writeHead(200, { 'Content-Type': 'application/json' });
+			res.end(JSON.stringify({
+				success: true,
+				result: { extensionVersion, protocolVersion: PROTOCOL_VERSION, commands: COMMANDS },
+			}));
+			return;
+		}
+		if (getRoute === '/events') {
+			openEventStream(req, res);
+			return;
+		}
+
 		onRequestActivity();
 
+		// The bridge drops the connection when the client cancels the tool call
+		const cancellation = new vscode.CancellationTokenSource();
+		inFlightRequests.add(cancellation);
+		res.on('close', () => {
+			if (!res.writableFinished) { cancellation.cancel(); }
+			inFlightRequests.delete(cancellation);
+			cancellation.dispose();
+		});
+
 		let body = '';
 		req.on('data', (chunk: string) => body += chunk);
 		req.on('end', async () => {
 			try {
-				const { command, args } = JSON.parse(body);
-				const result = await handleCommand(command, args || {});
+				let parsed: any;
+				try {
+					parsed = JSON.parse(body);
+				} catch (err: any) {
+					recordActivity({ ...session, command: null, durationMs: 0, success: false, error: err.message });
+					throw err;
+				}
+				const result = await runCommand(parsed.command, parsed.args || {}, session, cancellation.token);
 				onRequestActivity();
 				res.writeHead(200, { 'Content-Type': 'application/json' });
 				res.end(JSON.stringify({ success: true, result }));
 			} catch (err: any) {
+				if (err instanceof PolicyRefusal) {
+					res.writeHead(403, { 'Content-Type': 'application/json' });
+					res.end(JSON.stringify({ success: false, refused: true, reason: err.reason, error: err.message }));
+					return;
+				}
 				res.writeHead(500, { 'Content-Type': 'application/json' });
 				res.end(JSON.stringify({ success: false, error: err.message }));
 			}
@@ -119,14 +296,25 @@ export function activate(context: vscode.ExtensionContext) {
 
 	server.listen(0, '127.0.0.1', () => {
 		const addr = server!.address() as { port: number };
-		portFilePath = getPortFilePath();
-		fs.mkdirSync(PORTS_DIR, { recursive: true });
-		fs.writeFileSync(portFilePath, String(addr.port));
+		registryId = getRegistryId();
+		registryFilePath = path.join(PORTS_DIR, `${registryId}.json`);
+		fs.mkdirSync(PORTS_DIR, { recursive: true, mode: 0o700 });
+		writeRegistryEntry();
+		heartbeatInterval = setInterval(() => {
+			writeRegistryEntry();
+			// Keeps idle event streams from being dropped as dead connections
+			writeToEventStreams(': keepalive\n\n');
+		}, HEARTBEAT_INTERVAL_MS);
 		vscode.window.setStatusBarMessage(`Cursor Commander: port ${addr.port}`, 5000);
 	});
 
 	context.subscriptions.push(
 		{ dispose: () => cleanup() },
+		vscode.workspace.onDidChangeWorkspaceFolders(() => writeRegistryEntry()),
+		vscode.workspace.registerTextDocumentContentProvider(DIFF_TEXT_SCHEME, {
+			provideTextDocumentContent: uri => diffTexts.get(uri.toString()) ?? '',
+		}),
+		vscode.commands.registerCommand('cursorCommander.showActivityLog', () => activityLog.show(true)),
 		vscode.commands.registerCommand('cursorCommander.showPort', () => {
 			const addr = server?.address();
 			if (addr && typeof addr === 'object') {
@@ -138,8 +326,326 @@ export function activate(context: vscode.ExtensionContext) {
 	);
 }
 
-function findTerminal(args: { name?: string; index?: number }): vscode.Terminal {
+interface ActivityRecord {
+	session: string | null;
+	client: string | null;
+	command: string | null;
+	args?: any;
+	durationMs: number;
+	success: boolean;
+	error?: string;
+	refused?: string;
+}
+
+interface RequestSession {
+	session: string | null;
+	client: string | null;
+}
+
+// The bridge names itself in these headers so the log can tell sessions apart
+function requestSession(req: http.IncomingMessage): RequestSession {
+	const header = (name: string) => {
+		const value = req.headers[name];
+		return typeof value === 'string' ? value : null;
+	};
+	return { session: header('x-cursor-commander-session'), client: header('x-cursor-commander-client') };
+}
+
+// Secrets by key name are replaced, and long strings such as file contents
+// or terminal input are cut, so the log stays readable and safe to share.
+function redactArgs(value: any, key = ''): any {
+	if (SECRET_ARG_PATTERN.test(key)) { return '[redacted]'; }
+	if (typeof value === 'string') {
+		return value.length > MAX_LOGGED_STRING_CHARS
+			? `${value.slice(0, MAX_LOGGED_STRING_CHARS)}... (${value.length} characters)`
+			: value;
+	}
+	if (Array.isArray(value)) { return value.map(v => redactArgs(v)); }
+	if (value && typeof value === 'object') {
+		// Environment variables often hold credentials under arbitrary names
+		if (key === 'env') { return Object.fromEntries(Object.keys(value).map(k => [k, '[redacted]'])); }
+		return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, redactArgs(v, k)]));
+	}
+	return value;
+}
+
+// Policy check, command and activity log record for one request or batch step
+async function runCommand(
+	command: string,
+	args: any,
+	session: RequestSession,
+	token: vscode.CancellationToken,
+): Promise<any> {
+	const startedAt = Date.now();
+	const record = (outcome: Partial<ActivityRecord>) => recordActivity({
+		...session,
+		command,
+		args: redactArgs(args),
+		durationMs: Date.now() - startedAt,
+		success: false,
+		...outcome,
+	});
+	try {
+		await checkPolicy(command, args, token);
+		const result = await handleCommand(command, args, session, token);
+		record({ success: true });
+		return result;
+	} catch (err: any) {
+		record(err instanceof PolicyRefusal ? { error: err.message, refused: err.reason } : { error: err.message });
+		throw err;
+	}
+}
+
+// Steps run one after another; there is no rollback, so with stopOnError the
+// steps after a failure are reported as skipped. Cancelling the request
+// cancels the running step and fails the batch.
+async function runBatch(args: any, session: RequestSession, token: vscode.CancellationToken) {
+	if (!Array.isArray(args.steps) || args.steps.length === 0) { throw new Error('steps must be a non-empty array'); }
+	const mode = args.mode ?? 'stopOnError';
+	if (mode !== 'stopOnError' && mode !== 'continueOnError') {
+		throw new Error(`Unknown mode "${mode}"; use stopOnError or continueOnError`);
+	}
+	const invalid = (args.steps as unknown[]).findIndex(s => typeof s !== 'object' || s === null || Array.isArray(s));
+	if (invalid >= 0) { throw new Error(`Step ${invalid} must be an object with a command and args`); }
+	const steps: any[] = [];
+	let stopped = false;
+	for (const [index, step] of (args.steps as any[]).entries()) {
+		// Accept tool names too, since those are what the agent knows
+		const command = COMMANDS.find(c => c.command === step.command || c.tool === step.command)?.command;
+		if (token.isCancellationRequested) { throw new vscode.CancellationError(); }
+		if (stopped) {
+			steps.push({ index, command: command ?? step.command, status: 'skipped' });
+			continue;
+		}
+		const startedAt = Date.now();
+		try {
+			if (!command) { throw new Error(`Unknown command: ${step.command}`); }
+			if (command === 'runBatch') { throw new Error('Batches cannot be nested'); }
+			const result = await runCommand(command, step.args || {}, session, token);
+			steps.push({ index, command, status: 'ok', result, durationMs: Date.now() - startedAt });
+		} catch (err: any) {
+			steps.push(err instanceof PolicyRefusal
+				? { index, command, status: 'refused', reason: err.reason, error: err.message, durationMs: Date.now() - startedAt }
+				: { index, command: command ?? step.command, status: 'error', error: err.message, durationMs: Date.now() - startedAt });
+			stopped = mode === 'stopOnError';
+		}
+	}
+	const failed = steps.find(s => s.status === 'error' || s.status === 'refused');
+	return { success: !failed, failedStep: failed?.index ?? null, steps };
+}
+
+function recordActivity(record: ActivityRecord) {
+	// Sent around every tool call; logging it would drown out the calls themselves
+	if (record.command === 'setAgentStatus') { return; }
+	const entry = { timestamp: new Date().toISOString(), ...record };
+	const outcome = record.success ? 'ok' : record.refused ? `refused (${record.refused})` : `error: ${record.error}`;
+	const who = record.client ?? record.session ?? 'unknown session';
+	const argsText = record.args && Object.keys(record.args).length ? ` ${JSON.stringify(record.args)}` : '';
+	activityLog.appendLine(
+		`[${entry.timestamp}] ${who} ${record.command ?? '(rejected)'}${argsText} ${record.durationMs}ms ${outcome}`
+	);
+
+	let file = vscode.workspace.getConfiguration('cursorCommander.activityLog').get<string>('file', '');
+	if (!file) { return; }
+	if (file.startsWith('~/')) { file = path.join(os.homedir(), file.slice(2)); }
+	const line = JSON.stringify(entry) + '\n';
+	// Queued, since concurrent appends can land out of order
+	activityLogWrite = activityLogWrite.then(() => fs.promises.appendFile(file, line, { mode: 0o600 }).catch(err => {
+		activityLog.appendLine(`Could not write activity log file ${file}: ${err.message}`);
+	}));
+}
+
+// Editor events pushed to the bridge as server-sent events on GET /events
+function openEventStream(req: http.IncomingMessage, res: http.ServerResponse) {
+	res.writeHead(200, {
+		'Content-Type': 'text/event-stream',
+		'Cache-Control': 'no-cache',
+		'Connection': 'keep-alive',
+	});
+	res.write(': connected\n\n');
+	eventStreams.add(res);
+	req.on('close', () => eventStreams.delete(res));
+}
+
+function writeToEventStreams(message: string) {
+	for (const res of eventStreams) { res.write(message); }
+}
+
+function emitEvent(type: string, data: object) {
+	if (eventStreams.size === 0) { return; }
+	const id = nextEventId++;
+	writeToEventStreams(`id: ${id}\nevent: ${type}\ndata: ${JSON.stringify({ ...data, type })}\n\n`);
+}
+
+// Output channels and other internal buffers are documents too; only report
+// the ones a user edits.
+function isUserDocument(document: vscode.TextDocument): boolean {
+	return document.uri.scheme === 'file' || document.uri.scheme === 'untitled';
+}
+
+function documentEventData(document: vscode.TextDocument) {
+	return { path: documentPath(document.uri), uri: document.uri.toString() };
+}
+
+// Typing and cursor movement fire an event per keystroke, so these are
+// reported at most once per EVENT_THROTTLE_MS, with the state at the end of
+// the window.
+function emitThrottled(key: string, emit: () => void) {
+	if (eventStreams.size === 0 || pendingEvents.has(key)) { return; }
+	pendingEvents.set(key, setTimeout(() => {
+		pendingEvents.delete(key);
+		emit();
+	}, EVENT_THROTTLE_MS));
+}
+
+function onDocumentChanged(e: vscode.TextDocumentChangeEvent) {
+	if (!isUserDocument(e.document) || e.contentChanges.length === 0) { return; }
+	emitThrottled(`documentChanged:${e.document.uri.toString()}`, () => {
+		emitEvent('documentChanged', {
+			...documentEventData(e.document),
+			version: e.document.version,
+			isDirty: e.document.isDirty,
+		});
+	});
+}
+
+// Written to a temp file and renamed so the bridge never reads a partial entry.
+// The entry holds the token, so it must stay private to the user.
+function writeRegistryEntry() {
+	if (!registryFilePath || !server?.listening) { return; }
+	const addr = server.address() as { port: number };
+	const entry = {
+		id: registryId,
+		pid: process.pid,
+		port: addr.port,
+		token: authToken,
+		folders: (vscode.workspace.workspaceFolders ?? []).map(f => f.uri.fsPath),
+		title: vscode.workspace.name ?? null,
+		startedAt,
+		heartbeat: Date.now(),
+	};
+	const tmpPath = `${registryFilePath}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+	try {
+		fs.writeFileSync(tmpPath, JSON.stringify(entry), { mode: 0o600 });
+		fs.renameSync(tmpPath, registryFilePath);
+	} catch {
+		try { fs.unlinkSync(tmpPath); } catch {}
+	}
+}
+
+// Browsers can reach 127.0.0.1 through DNS rebinding, but they cannot forge
+// the Host header, and they always send Origin on cross-origin POSTs.
+function checkRequestOrigin(req: http.IncomingMessage): { status: number; error: string } | undefined {
+	const port = (server?.address() as { port: number } | null)?.port;
+	const allowedHosts = [`127.0.0.1:${port}`, `localhost:${port}`];
+	if (!req.headers.host || !allowedHosts.includes(req.headers.host)) {
+		return { status: 403, error: `Host "${req.headers.host}" is not allowed` };
+	}
+	const origin = req.headers.origin;
+	if (origin !== undefined && !allowedHosts.some(h => origin === `http://${h}`)) {
+		return { status: 403, error: `Origin "${origin}" is not allowed` };
+	}
+	return undefined;
+}
+
+function checkAuthorization(req: http.IncomingMessage): { status: number; error: string } | undefined {
+	const header = req.headers.authorization ?? '';
+	const token = Buffer.from(header.replace(/^Bearer /, ''));
+	const expected = Buffer.from(authToken);
+	if (!header.startsWith('Bearer ') || token.length !== expected.length || !crypto.timingSafeEqual(token, expected)) {
+		return { status: 401, error: 'Missing or invalid token; restart the MCP bridge to re-read the port file' };
+	}
+	return undefined;
+}
+
+// A call refused by the cursorCommander.policy settings or by the user.
+// Sent back as a 403 with the reason, so the agent can tell it apart from a
+// failure and not retry it.
+class PolicyRefusal extends Error {
+	constructor(readonly reason: 'denied' | 'notAllowed' | 'userDenied', message: string) {
+		super(message);
+	}
+}
+
+function matchesAnyGlob(value: string, globs: string[]): boolean {
+	return globs.some(glob => globToRegExp(glob).test(value));
+}
+
+async function checkPolicy(command: string, args: any, token: vscode.CancellationToken) {
+	const config = vscode.workspace.getConfiguration('cursorCommander.policy');
+	if (command === 'executeCommand') {
+		const id = String(args.command);
+		if (matchesAnyGlob(id, config.get<string[]>('deniedCommands', []))) {
+			throw new PolicyRefusal('denied', `Command "${id}" is denied by the cursorCommander.policy.deniedCommands setting`);
+		}
+		if (!matchesAnyGlob(id, config.get<string[]>('allowedCommands', ['*']))) {
+			throw new PolicyRefusal('notAllowed', `Command "${id}" is not in the cursorCommander.policy.allowedCommands setting`);
+		}
+	}
+
+	const tool = COMMANDS.find(c => c.command === command)?.tool;
+	if (!tool || !config.get<string[]>('askFirst', []).includes(tool)) { return; }
+	// Approving execute_command for the session covers one command ID, not all of them
+	const approvalKey = command === 'executeCommand' ? `${tool}:${args.command}` : tool;
+	if (sessionApprovals.has(approvalKey)) { return; }
+
+	let detail = JSON.stringify(args, null, 2);
+	if (detail.length > MAX_APPROVAL_DETAIL_CHARS) { detail = `${detail.slice(0, MAX_APPROVAL_DETAIL_CHARS)}\n...`; }
+	const choice = await vscode.window.showWarningMessage(
+		`The agent wants to run ${tool}`,
+		{ modal: true, detail },
+		'Allow once',
+		'Allow for session',
+		'Deny',
+	);
+	if (choice === 'Allow for session') {
+		sessionApprovals.add(approvalKey);
+	} else if (choice !== 'Allow once') {
+		throw new PolicyRefusal('userDenied', `The user declined to allow ${tool}`);
+	}
+	// The agent has been told a call that timed out or was cancelled during the
+	// prompt failed, and may send it again; running it now would run it twice
+	if (token.isCancellationRequested) { throw new vscode.CancellationError(); }
+}
+
+function getTerminalId(terminal: vscode.Terminal): string {
+	let id = terminalIds.get(terminal);
+	if (!id) {
+		id = `terminal-${nextTerminalId++}`;
+		terminalIds.set(terminal, id);
+		terminalsById.set(id, terminal);
+	}
+	return id;
+}
+
+function recordClosedTerminal(terminal: vscode.Terminal) {
+	const id = getTerminalId(terminal);
+	terminalsById.delete(id);
+	agentTerminals.delete(id);
+	closedTerminals.push({
+		id,
+		name: terminal.name,
+		exitCode: terminal.exitStatus?.code ?? null,
+		exitReason: EXIT_REASONS[terminal.exitStatus?.reason ?? 0] ?? 'unknown',
+		closedAt: new Date().toISOString(),
+	});
+	if (closedTerminals.length > MAX_CLOSED_TERMINALS) {
+		closedTerminals = closedTerminals.slice(-MAX_CLOSED_TERMINALS);
+	}
+	emitEvent('terminalClosed', { id, name: terminal.name, exitCode: terminal.exitStatus?.code ?? null });
+}
+
+function findTerminal(args: { id?: string; name?: string; index?: number }): vscode.Terminal {
 	const terminals = vscode.window.terminals;
+	if (args.id !== undefined) {
+		const t = terminalsById.get(args.id);
+		if (t) { return t; }
+		const closed = closedTerminals.find(c => c.id === args.id);
+		if (closed) {
+			throw new Error(`Terminal ${args.id} ("${closed.name}") has closed (exit code ${closed.exitCode ?? 'unknown'})`);
+		}
+		throw new Error(`No terminal with id "${args.id}"`);
+	}
 	if (args.name !== undefined) {
 		const t = terminals.find(t => t.name === args.name);
 		if (!t) { throw new Error(`No terminal named "${args.name}"`); }
@@ -156,7 +662,1277 @@ function findTerminal(args: { name?: string; index?: number }): vscode.Terminal
 	return active;
 }
 
-async function handleCommand(command: string, args: any): Promise<any> {
+// Strips CSI/OSC escape sequences (including the 633 shell integration markers)
+// so command output reads as plain text.
+function stripAnsi(text: string): string {
+	return text
+		.replace(/\x1b\][^\x07\x1b]*(?:\x07|\x1b\\)/g, '')
+		.replace(/\x1b\[[0-?]*[ -\/]*[@-~]/g, '')
+		.replace(/\x1b[@-Z\\-_]/g, '')
+		.replace(/\r\n/g, '\n');
+}
+
+// Keeps the end of long output by default, since errors and summaries usually
+// come last, or the start for diffs, whose headers come first. droppedBefore
+// counts characters the caller already discarded while reading.
+function truncateOutput(text: string, maxChars: number, keep: 'start' | 'end' = 'end', droppedBefore = 0): string {
+	if (text.length <= maxChars && !droppedBefore) { return text; }
+	const excess = Math.max(0, text.length - maxChars);
+	const marker = `[... ${droppedBefore + excess} characters truncated ...]`;
+	return keep === 'start' ? `${text.slice(0, maxChars)}\n${marker}` : `${marker}\n${text.slice(excess)}`;
+}
+
+function waitForShellIntegration(terminal: vscode.Terminal): Promise<vscode.TerminalShellIntegration> {
+	if (terminal.shellIntegration) { return Promise.resolve(terminal.shellIntegration); }
+	return new Promise((resolve, reject) => {
+		const timer = setTimeout(() => {
+			listener.dispose();
+			reject(new Error(
+				`Shell integration is not available in terminal "${terminal.name}". ` +
+				'Enable terminal.integrated.shellIntegration.enabled or use send_terminal_text instead.'
+			));
+		}, SHELL_INTEGRATION_WAIT_MS);
+		const listener = vscode.window.onDidChangeTerminalShellIntegration(e => {
+			if (e.terminal !== terminal) { return; }
+			clearTimeout(timer);
+			listener.dispose();
+			resolve(e.shellIntegration);
+		});
+	});
+}
+
+async function runTerminalCommand(
+	terminal: vscode.Terminal,
+	commandLine: string,
+	timeoutMs: number,
+	maxOutputChars: number,
+	token: vscode.CancellationToken,
+) {
+	const shellIntegration = await waitForShellIntegration(terminal);
+	const start = Date.now();
+	let output = '';
+	let droppedChars = 0;
+	let stopped = false;
+	let exitCode: number | undefined;
+	let timedOut = false;
+
+	let execution: vscode.TerminalShellExecution | undefined;
+	let onEnd!: () => void;
+	const ended = new Promise<void>(resolve => onEnd = resolve);
+	const endListener = vscode.window.onDidEndTerminalShellExecution(e => {
+		if (e.execution !== execution) { return; }
+		exitCode = e.exitCode;
+		onEnd();
+	});
+
+	let timer: ReturnType<typeof setTimeout> | undefined;
+	let cancelListener: vscode.Disposable | undefined;
+	try {
+		execution = shellIntegration.executeCommand(commandLine);
+		const stream = execution.read();
+		// A command that outlives the timeout keeps running, but nothing reads
+		// its output any more, so reading stops too
+		const reading = (async () => {
+			for await (const data of stream) {
+				if (stopped) { break; }
+				output += data;
+				// Only the tail is returned; twice that is kept, as ANSI codes are stripped later
+				if (output.length > 2 * maxOutputChars) {
+					const cut = output.length - 2 * maxOutputChars;
+					droppedChars += cut;
+					output = output.slice(cut);
+				}
+			}
+		})();
+		reading.catch(() => {});
+		const timeout = new Promise<void>(resolve => {
+			timer = setTimeout(() => { timedOut = true; resolve(); }, timeoutMs);
+		});
+		const cancelled = new Promise<void>(resolve => {
+			cancelListener = token.onCancellationRequested(() => resolve());
+		});
+		await Promise.race([Promise.all([ended, reading]), timeout, cancelled]);
+	} finally {
+		stopped = true;
+		if (timer) { clearTimeout(timer); }
+		endListener.dispose();
+		cancelListener?.dispose();
+	}
+	if (token.isCancellationRequested && exitCode === undefined) {
+		// Interrupt the command like Ctrl-C, so cancelling actually stops it
+		terminal.sendText('\x03', false);
+		throw new vscode.CancellationError();
+	}
+
+	return {
+		terminal: terminal.name,
+		terminalId: getTerminalId(terminal),
+		exitCode: exitCode ?? null,
+		timedOut,
+		durationMs: Date.now() - start,
+		output: truncateOutput(stripAnsi(output), maxOutputChars, 'end', droppedChars),
+	};
+}
+
+// Agent-owned terminals: a Pseudoterminal backed by a child process owned by
+// the extension, so everything the terminal shows is kept in a scrollback
+// buffer that the agent can read back. There is no real pty, so this class
+// does its own line editing and turns Ctrl-C/Ctrl-D into a signal/EOF.
+
+const KEY_SEQUENCES: Record<string, string> = {
+	'enter': '\r',
+	'tab': '\t',
+	'escape': '\x1b',
+	'backspace': '\x7f',
+	'up': '\x1b[A',
+	'down': '\x1b[B',
+	'right': '\x1b[C',
+	'left': '\x1b[D',
+	'home': '\x1b[H',
+	'end': '\x1b[F',
+	'ctrl-c': '\x03',
+	'ctrl-d': '\x04',
+	'ctrl-z': '\x1a',
+};
+
+class AgentTerminal implements vscode.Pseudoterminal {
+	private readonly writeEmitter = new vscode.EventEmitter<string>();
+	private readonly dimensionsEmitter = new vscode.EventEmitter<vscode.TerminalDimensions>();
+	readonly onDidWrite = this.writeEmitter.event;
+	readonly onDidOverrideDimensions = this.dimensionsEmitter.event;
+
+	private readonly child: ChildProcess;
+	private scrollback = '';
+	private scrollbackStart = 0;
+	private lineBuffer = '';
+	private opened = false;
+	dimensions: vscode.TerminalDimensions | undefined;
+	exitCode: number | null = null;
+	exitSignal: string | null = null;
+	running = true;
+
+	constructor(command: string | undefined, options: { cwd?: string; env?: Record<string, string> }) {
+		const shell = process.platform === 'win32'
+			? process.env.COMSPEC || 'cmd.exe'
+			: process.env.SHELL || '/bin/sh';
+		// Detached so signals can go to the whole process group, not just the shell
+		this.child = spawn(command ?? shell, [], {
+			shell: command !== undefined,
+			cwd: options.cwd,
+			env: { ...process.env, ...options.env },
+			detached: process.platform !== 'win32',
+		});
+		this.child.stdout?.setEncoding('utf8');
+		this.child.stderr?.setEncoding('utf8');
+		this.child.stdout?.on('data', (data: string) => this.write(data));
+		this.child.stderr?.on('data', (data: string) => this.write(data));
+		// Input typed just as the process exits fails with EPIPE; the exit is reported anyway
+		this.child.stdin?.on('error', err => {
+			if (this.running) { this.write(`\n[Could not write to process: ${err.message}]\n`); }
+		});
+		this.child.on('error', err => {
+			this.running = false;
+			this.write(`\n[Failed to start process: ${err.message}]\n`);
+		});
+		this.child.on('exit', (code, signal) => {
+			this.running = false;
+			this.exitCode = code;
+			this.exitSignal = signal;
+			this.write(`\n[Process exited with ${signal ? `signal ${signal}` : `code ${code}`}]\n`);
+		});
+	}
+
+	get pid(): number | undefined {
+		return this.child.pid;
+	}
+
+	open(initialDimensions: vscode.TerminalDimensions | undefined) {
+		this.opened = true;
+		this.dimensions = initialDimensions;
+		// Replay whatever the process printed before the terminal was shown
+		if (this.scrollback) { this.writeEmitter.fire(this.scrollback); }
+	}
+
+	close() {
+		if (this.running) { this.signal('SIGHUP'); }
+		this.writeEmitter.dispose();
+		this.dimensionsEmitter.dispose();
+	}
+
+	setDimensions(dimensions: vscode.TerminalDimensions) {
+		this.dimensions = dimensions;
+	}
+
+	// Only the terminal view changes size: without a real pty the process is not told
+	resize(columns: number, rows: number) {
+		this.dimensions = { columns, rows };
+		this.dimensionsEmitter.fire(this.dimensions);
+	}
+
+	handleInput(data: string) {
+		// Called by VS Code for keystrokes, so it must not throw; nothing reads input after exit
+		if (!this.running) { return; }
+		// Escape sequences (arrow keys etc.) go to the process untouched
+		if (data.startsWith('\x1b')) {
+			this.child.stdin?.write(data);
+			return;
+		}
+		for (const ch of data) {
+			if (ch === '\r' || ch === '\n') {
+				this.write('\n');
+				this.child.stdin?.write(this.lineBuffer + '\n');
+				this.lineBuffer = '';
+			} else if (ch === '\x7f' || ch === '\b') {
+				if (this.lineBuffer) {
+					this.lineBuffer = this.lineBuffer.slice(0, -1);
+					this.write('\b \b');
+				}
+			} else if (ch === '\x03') {
+				this.write('^C\n');
+				this.lineBuffer = '';
+				if (this.running) { this.signal('SIGINT'); }
+			} else if (ch === '\x04') {
+				if (this.lineBuffer) {
+					this.child.stdin?.write(this.lineBuffer);
+					this.lineBuffer = '';
+				} else {
+					this.child.stdin?.end();
+				}
+			} else if (ch === '\x1a') {
+				if (this.running) { this.signal('SIGTSTP'); }
+			} else if (ch >= ' ' || ch === '\t') {
+				this.lineBuffer += ch;
+				this.write(ch);
+			}
+		}
+	}
+
+	signal(name: NodeJS.Signals) {
+		if (!this.running) { throw new Error('Process has already exited'); }
+		if (this.child.pid && process.platform !== 'win32') {
+			try {
+				process.kill(-this.child.pid, name);
+				return;
+			} catch {
+				// fall back to signalling the shell alone
+			}
+		}
+		this.child.kill(name);
+	}
+
+	read(offset: number | undefined, maxChars: number) {
+		const end = this.scrollbackStart + this.scrollback.length;
+		let start = offset ?? Math.max(this.scrollbackStart, end - maxChars);
+		const dropped = start < this.scrollbackStart;
+		start = Math.min(Math.max(start, this.scrollbackStart), end);
+		const raw = this.scrollback.slice(start - this.scrollbackStart, start - this.scrollbackStart + maxChars);
+		return {
+			offset: start,
+			nextOffset: start + raw.length,
+			totalLength: end,
+			dropped,
+			text: stripAnsi(raw),
+			running: this.running,
+			exitCode: this.exitCode,
+			exitSignal: this.exitSignal,
+		};
+	}
+
+	private write(data: string) {
+		const text = data.replace(/\r?\n/g, '\r\n');
+		this.scrollback += text;
+		if (this.scrollback.length > AGENT_SCROLLBACK_CHARS) {
+			const excess = this.scrollback.length - AGENT_SCROLLBACK_CHARS;
+			this.scrollback = this.scrollback.slice(excess);
+			this.scrollbackStart += excess;
+		}
+		if (this.opened) { this.writeEmitter.fire(text); }
+	}
+}
+
+function findAgentTerminal(args: { id?: string; name?: string; index?: number }): AgentTerminal {
+	const terminal = findTerminal(args);
+	const agent = agentTerminals.get(getTerminalId(terminal));
+	if (!agent) {
+		throw new Error(`Terminal "${terminal.name}" is not an agent terminal; create one with create_agent_terminal`);
+	}
+	return agent;
+}
+
+// Document editing. Positions and ranges are zero-based, as in the VS Code API.
+
+interface JsonPosition { line: number; character: number }
+interface JsonRange { start: JsonPosition; end: JsonPosition }
+interface DocumentEdit { range: vscode.Range; text: string }
+
+function toPosition(p: JsonPosition): vscode.Position {
+	return new vscode.Position(p.line, p.character);
+}
+
+function toRange(r: JsonRange): vscode.Range {
+	return new vscode.Range(toPosition(r.start), toPosition(r.end));
+}
+
+function fromRange(r: vscode.Range): JsonRange {
+	return {
+		start: { line: r.start.line, character: r.start.character },
+		end: { line: r.end.line, character: r.end.character },
+	};
+}
+
+function resolveUri(args: { path?: string; uri?: string }): vscode.Uri {
+	if (args.uri) { return vscode.Uri.parse(args.uri); }
+	if (args.path) { return vscode.Uri.file(args.path); }
+	throw new Error('Either path or uri is required');
+}
+
+async function openDocument(args: { path?: string; uri?: string; expectedVersion?: number }): Promise<vscode.TextDocument> {
+	const document = await vscode.workspace.openTextDocument(resolveUri(args));
+	if (args.expectedVersion !== undefined && document.version !== args.expectedVersion) {
+		throw new Error(
+			`Document version is ${document.version}, expected ${args.expectedVersion}. ` +
+			'It has changed since it was read; read it again and retry.'
+		);
+	}
+	return document;
+}
+
+// Applies non-overlapping edits as one undoable step and reports the lines
+// they occupy afterwards.
+async function applyDocumentEdits(document: vscode.TextDocument, edits: DocumentEdit[]) {
+	const sorted = [...edits].sort((a, b) => a.range.start.compareTo(b.range.start));
+	for (let i = 1; i < sorted.length; i++) {
+		if (sorted[i].range.start.isBefore(sorted[i - 1].range.end)) {
+			throw new Error(`Edits overlap at line ${sorted[i].range.start.line}`);
+		}
+	}
+
+	const edit = new vscode.WorkspaceEdit();
+	for (const e of sorted) { edit.replace(document.uri, e.range, e.text); }
+	if (!await vscode.workspace.applyEdit(edit)) {
+		throw new Error(`Edit could not be applied to ${document.uri.toString()}`);
+	}
+
+	let lineDelta = 0;
+	const changedLines = sorted.map(e => {
+		const insertedLines = e.text.split('\n').length - 1;
+		const startLine = e.range.start.line + lineDelta;
+		lineDelta += insertedLines - (e.range.end.line - e.range.start.line);
+		return { startLine, endLine: startLine + insertedLines };
+	});
+	return {
+		uri: document.uri.toString(),
+		version: document.version,
+		edits: sorted.length,
+		changedLines,
+	};
+}
+
+function documentPath(uri: vscode.Uri): string {
+	return uri.scheme === 'file' ? uri.fsPath : uri.toString();
+}
+
+function readDocument(
+	document: vscode.TextDocument,
+	options: { startLine?: number; endLine?: number; lineNumbers?: boolean },
+) {
+	const lastLine = document.lineCount - 1;
+	const startLine = Math.max(0, options.startLine ?? 0);
+	const endLine = Math.min(lastLine, options.endLine ?? lastLine);
+	const width = String(endLine).length;
+	const lines: string[] = [];
+	for (let i = startLine; i <= endLine; i++) {
+		const text = document.lineAt(i).text;
+		lines.push(options.lineNumbers ? `${String(i).padStart(width)}: ${text}` : text);
+	}
+	return {
+		uri: document.uri.toString(),
+		path: documentPath(document.uri),
+		isDirty: document.isDirty,
+		isUntitled: document.isUntitled,
+		version: document.version,
+		languageId: document.languageId,
+		eol: document.eol === vscode.EndOfLine.CRLF ? 'CRLF' : 'LF',
+		encoding: document.encoding ?? null,
+		lineCount: document.lineCount,
+		startLine,
+		endLine,
+		text: lines.join('\n'),
+	};
+}
+
+// Active editor state
+
+const MAX_SELECTED_TEXT_CHARS = 10_000;
+
+function fromPosition(p: vscode.Position): JsonPosition {
+	return { line: p.line, character: p.character };
+}
+
+function getEditorState(editor: vscode.TextEditor) {
+	const document = editor.document;
+	return {
+		uri: document.uri.toString(),
+		path: documentPath(document.uri),
+		languageId: document.languageId,
+		viewColumn: editor.viewColumn ?? null,
+		isDirty: document.isDirty,
+		version: document.version,
+		cursor: fromPosition(editor.selection.active),
+		selections: editor.selections.map(s => ({
+			anchor: fromPosition(s.anchor),
+			active: fromPosition(s.active),
+			...fromRange(s),
+			text: truncateOutput(document.getText(s), MAX_SELECTED_TEXT_CHARS),
+		})),
+		visibleRanges: editor.visibleRanges.map(fromRange),
+	};
+}
+
+function toRevealType(name: string | undefined): vscode.TextEditorRevealType {
+	switch (name ?? 'inCenterIfOutsideViewport') {
+		case 'default': return vscode.TextEditorRevealType.Default;
+		case 'inCenter': return vscode.TextEditorRevealType.InCenter;
+		case 'inCenterIfOutsideViewport': return vscode.TextEditorRevealType.InCenterIfOutsideViewport;
+		case 'atTop': return vscode.TextEditorRevealType.AtTop;
+		default: throw new Error(`Unknown reveal type "${name}"`);
+	}
+}
+
+function toViewColumn(value: number | string | undefined): vscode.ViewColumn | undefined {
+	if (value === undefined || typeof value === 'number') { return value; }
+	if (value === 'active') { return vscode.ViewColumn.Active; }
+	if (value === 'beside') { return vscode.ViewColumn.Beside; }
+	throw new Error(`Unknown view column "${value}"; use 1-9, "active" or "beside"`);
+}
+
+function toShowOptions(args: any): vscode.TextDocumentShowOptions {
+	return {
+		viewColumn: toViewColumn(args.viewColumn),
+		preview: args.preview,
+		preserveFocus: args.preserveFocus ?? false,
+	};
+}
+
+// Agent-supplied text shown in diff editors, served as read-only documents
+const DIFF_TEXT_SCHEME = 'cursor-commander';
+const MAX_DIFF_TEXTS = 20;
+const diffTexts = new Map<string, string>();
+let nextDiffTextId = 1;
+
+function addDiffText(file: string, text: string): vscode.Uri {
+	// The file name keeps the language mode, and so the highlighting, of the original
+	const uri = vscode.Uri.parse(`${DIFF_TEXT_SCHEME}:/${nextDiffTextId++}/${path.basename(file)}`);
+	diffTexts.set(uri.toString(), text);
+	if (diffTexts.size > MAX_DIFF_TEXTS) { diffTexts.delete(diffTexts.keys().next().value!); }
+	return uri;
+}
+
+// Tabs
+
+const DIRTY_TAB_POLICIES = ['fail', 'save', 'revert', 'skip'];
+
+function tabDetails(input: unknown) {
+	if (input instanceof vscode.TabInputText) {
+		return { kind: 'text', path: documentPath(input.uri) };
+	}
+	if (input instanceof vscode.TabInputTextDiff) {
+		return { kind: 'diff', original: documentPath(input.original), modified: documentPath(input.modified) };
+	}
+	if (input instanceof vscode.TabInputNotebook) {
+		return { kind: 'notebook', path: documentPath(input.uri), notebookType: input.notebookType };
+	}
+	if (input instanceof vscode.TabInputNotebookDiff) {
+		return {
+			kind: 'notebookDiff',
+			original: documentPath(input.original),
+			modified: documentPath(input.modified),
+			notebookType: input.notebookType,
+		};
+	}
+	if (input instanceof vscode.TabInputCustom) {
+		return { kind: 'custom', path: documentPath(input.uri), viewType: input.viewType };
+	}
+	if (input instanceof vscode.TabInputWebview) { return { kind: 'webview', viewType: input.viewType }; }
+	if (input instanceof vscode.TabInputTerminal) { return { kind: 'terminal' }; }
+	return { kind: 'other' };
+}
+
+function fromTab(tab: vscode.Tab) {
+	return {
+		label: tab.label,
+		...tabDetails(tab.input),
+		isActive: tab.isActive,
+		isDirty: tab.isDirty,
+		isPinned: tab.isPinned,
+		isPreview: tab.isPreview,
+	};
+}
+
+// The resources a tab shows; both sides for diffs
+function tabUris(tab: vscode.Tab): vscode.Uri[] {
+	const input = tab.input;
+	if (input instanceof vscode.TabInputTextDiff || input instanceof vscode.TabInputNotebookDiff) {
+		return [input.original, input.modified];
+	}
+	if (
+		input instanceof vscode.TabInputText ||
+		input instanceof vscode.TabInputNotebook ||
+		input instanceof vscode.TabInputCustom
+	) {
+		return [input.uri];
+	}
+	return [];
+}
+
+// Paths are matched as get_open_files and list_tabs report them
+function findTabs(tabPath: string): vscode.Tab[] {
+	return vscode.window.tabGroups.all
+		.flatMap(g => g.tabs)
+		.filter(t => tabUris(t).some(uri => documentPath(uri) === tabPath));
+}
+
+function findTab(tabPath: string, viewColumn?: number): vscode.Tab {
+	const tabs = findTabs(tabPath).filter(t => viewColumn === undefined || t.group.viewColumn === viewColumn);
+	if (tabs.length === 0) {
+		throw new Error(`${tabPath} is not open${viewColumn === undefined ? '' : ` in column ${viewColumn}`}`);
+	}
+	if (tabs.length > 1) {
+		const where = tabs.map(t => `"${t.label}" in column ${t.group.viewColumn}`).join(', ');
+		throw new Error(`${tabPath} is open in ${tabs.length} tabs (${where}); pass viewColumn to pick one`);
+	}
+	return tabs[0];
+}
+
+// Shows a tab's editor again, in its own group unless options say otherwise,
+// which makes it the active editor for commands that act on that
+async function showTab(tab: vscode.Tab, options: vscode.TextDocumentShowOptions = {}) {
+	const input = tab.input;
+	const show = { viewColumn: tab.group.viewColumn, preview: tab.isPreview, ...options };
+	if (input instanceof vscode.TabInputTextDiff || input instanceof vscode.TabInputNotebookDiff) {
+		await vscode.commands.executeCommand('vscode.diff', input.original, input.modified, tab.label, show);
+	} else if (input instanceof vscode.TabInputCustom) {
+		await vscode.commands.executeCommand('vscode.openWith', input.uri, input.viewType, show);
+	} else if (input instanceof vscode.TabInputText || input instanceof vscode.TabInputNotebook) {
+		await vscode.commands.executeCommand('vscode.open', input.uri, show);
+	} else {
+		throw new Error(`"${tab.label}" is a ${tabDetails(input).kind} tab, which can only be managed by hand`);
+	}
+}
+
+async function saveTab(tabPath: string, tab: vscode.Tab) {
+	const document = vscode.workspace.textDocuments.find(d => documentPath(d.uri) === tabPath);
+	if (document?.isUntitled) {
+		throw new Error(`${tabPath} has never been saved, so saving it would ask for a file name; use dirty "revert" or "skip"`);
+	}
+	if (document) {
+		if (!await document.save()) { throw new Error(`${tabPath} could not be saved`); }
+		return;
+	}
+	await showTab(tab);
+	await vscode.commands.executeCommand('workbench.action.files.save');
+}
+
+// Diagnostics
+
+const SEVERITIES = ['error', 'warning', 'information', 'hint'];
+
+interface DiagnosticFilter {
+	path?: string;
+	uri?: string;
+	glob?: string;
+	severity?: string;
+	source?: string;
+}
+
+function toJsonDiagnostic(d: vscode.Diagnostic): JsonDiagnostic {
+	return {
+		severity: SEVERITIES[d.severity],
+		message: d.message,
+		range: fromRange(d.range),
+		source: d.source ?? null,
+		code: typeof d.code === 'object' ? d.code.value : d.code ?? null,
+		relatedInformation: (d.relatedInformation ?? []).map(r => ({
+			path: documentPath(r.location.uri),
+			range: fromRange(r.location.range),
+			message: r.message,
+		})),
+	};
+}
+
+function diagnosticKey(d: JsonDiagnostic): string {
+	return JSON.stringify([d.severity, d.message, d.range, d.source, d.code]);
+}
+
+function matchesDiagnosticUri(uri: vscode.Uri, filter: DiagnosticFilter): boolean {
+	if ((filter.path || filter.uri) && resolveUri(filter).toString() !== uri.toString()) { return false; }
+	if (filter.glob) {
+		const pattern = globToRegExp(filter.glob);
+		return pattern.test(vscode.workspace.asRelativePath(uri, false)) || pattern.test(uri.fsPath);
+	}
+	return true;
+}
+
+function matchesDiagnostic(d: JsonDiagnostic, filter: DiagnosticFilter): boolean {
+	if (filter.severity) {
+		const min = SEVERITIES.indexOf(filter.severity);
+		if (min < 0) { throw new Error(`Unknown severity "${filter.severity}"`); }
+		if (SEVERITIES.indexOf(d.severity) > min) { return false; }
+	}
+	return !filter.source || d.source === filter.source;
+}
+
+function recordDiagnosticChanges(e: vscode.DiagnosticChangeEvent) {
+	const changedPaths: string[] = [];
+	for (const uri of e.uris) {
+		const key = uri.toString();
+		const previous = diagnosticSnapshot.get(key) ?? [];
+		const current = vscode.languages.getDiagnostics(uri).map(toJsonDiagnostic);
+		const previousKeys = new Set(previous.map(diagnosticKey));
+		const currentKeys = new Set(current.map(diagnosticKey));
+		const added = current.filter(d => !previousKeys.has(diagnosticKey(d)));
+		const removed = previous.filter(d => !currentKeys.has(diagnosticKey(d)));
+		if (current.length) { diagnosticSnapshot.set(key, current); } else { diagnosticSnapshot.delete(key); }
+		if (added.length || removed.length) {
+			diagnosticChanges.push({ seq: ++diagnosticSeq, uri, added, removed });
+			changedPaths.push(documentPath(uri));
+		}
+	}
+	if (changedPaths.length) {
+		emitEvent('diagnosticsChanged', { paths: changedPaths, cursor: diagnosticSeq });
+	}
+	if (diagnosticChanges.length > MAX_DIAGNOSTIC_CHANGES) {
+		diagnosticChanges = diagnosticChanges.slice(-MAX_DIAGNOSTIC_CHANGES);
+	}
+	const waiters = diagnosticWaiters;
+	diagnosticWaiters = [];
+	waiters.forEach(resolve => resolve());
+}
+
+function waitForDiagnosticChange(timeoutMs: number, token: vscode.CancellationToken): Promise<void> {
+	return new Promise(resolve => {
+		const done = () => {
+			clearTimeout(timer);
+			cancelListener.dispose();
+			diagnosticWaiters = diagnosticWaiters.filter(w => w !== done);
+			resolve();
+		};
+		const timer = setTimeout(done, timeoutMs);
+		const cancelListener = token.onCancellationRequested(done);
+		diagnosticWaiters.push(done);
+	});
+}
+
+// Nets out diagnostics that were added and removed again since the cursor.
+function collectDiagnosticChanges(since: number, filter: DiagnosticFilter) {
+	const byUri = new Map<string, { uri: vscode.Uri; added: Map<string, JsonDiagnostic>; removed: Map<string, JsonDiagnostic> }>();
+	for (const change of diagnosticChanges) {
+		if (change.seq <= since || !matchesDiagnosticUri(change.uri, filter)) { continue; }
+		const key = change.uri.toString();
+		let entry = byUri.get(key);
+		if (!entry) {
+			entry = { uri: change.uri, added: new Map(), removed: new Map() };
+			byUri.set(key, entry);
+		}
+		for (const d of change.removed) {
+			const k = diagnosticKey(d);
+			if (!entry.added.delete(k)) { entry.removed.set(k, d); }
+		}
+		for (const d of change.added) {
+			const k = diagnosticKey(d);
+			if (!entry.removed.delete(k)) { entry.added.set(k, d); }
+		}
+	}
+	const files = [];
+	for (const [key, entry] of byUri) {
+		const added = [...entry.added.values()].filter(d => matchesDiagnostic(d, filter));
+		const removed = [...entry.removed.values()].filter(d => matchesDiagnostic(d, filter));
+		if (!added.length && !removed.length) { continue; }
+		const current = diagnosticSnapshot.get(key) ?? [];
+		files.push({
+			path: documentPath(entry.uri),
+			added,
+			removed,
+			errors: current.filter(d => d.severity === 'error').length,
+			warnings: current.filter(d => d.severity === 'warning').length,
+		});
+	}
+	return files;
+}
+
+// Language intelligence, via the built-in provider commands
+
+const SYMBOL_KINDS = [
+	'file', 'module', 'namespace', 'package', 'class', 'method', 'property', 'field',
+	'constructor', 'enum', 'interface', 'function', 'variable', 'constant', 'string', 'number',
+	'boolean', 'array', 'object', 'key', 'null', 'enumMember', 'struct', 'event', 'operator',
+	'typeParameter',
+];
+
+interface FlatSymbol {
+	name: string;
+	qualifiedName: string;
+	kind: string;
+	detail: string | null;
+	range: vscode.Range;
+	selectionRange: vscode.Range;
+}
+
+function fromLocation(l: vscode.Location | vscode.LocationLink) {
+	if ('targetUri' in l) {
+		return { path: documentPath(l.targetUri), range: fromRange(l.targetSelectionRange ?? l.targetRange) };
+	}
+	return { path: documentPath(l.uri), range: fromRange(l.range) };
+}
+
+function limitResults<T>(items: T[], maxResults: number) {
+	return { total: items.length, truncated: items.length > maxResults, results: items.slice(0, maxResults) };
+}
+
+function hoverText(content: vscode.MarkdownString | vscode.MarkedString): string {
+	if (typeof content === 'string') { return content; }
+	if ('language' in content) { return '```' + content.language + '\n' + content.value + '\n```'; }
+	return content.value;
+}
+
+// For work that takes no cancellation token: a cancelled request stops
+// waiting for it instead.
+function untilCancelled<T>(work: Thenable<T>, token: vscode.CancellationToken): Promise<T> {
+	if (token.isCancellationRequested) { return Promise.reject(new vscode.CancellationError()); }
+	return new Promise((resolve, reject) => {
+		const listener = token.onCancellationRequested(() => {
+			listener.dispose();
+			reject(new vscode.CancellationError());
+		});
+		work.then(
+			result => { listener.dispose(); resolve(result); },
+			err => { listener.dispose(); reject(err); },
+		);
+	});
+}
+
+function executeProvider<T>(token: vscode.CancellationToken, command: string, ...args: any[]): Promise<T | undefined> {
+	return untilCancelled(vscode.commands.executeCommand<T>(command, ...args), token);
+}
+
+async function getDocumentSymbols(uri: vscode.Uri, token: vscode.CancellationToken): Promise<FlatSymbol[]> {
+	const symbols = await executeProvider<(vscode.SymbolInformation | vscode.DocumentSymbol)[]>(
+		token, 'vscode.executeDocumentSymbolProvider', uri) ?? [];
+	const flat: FlatSymbol[] = [];
+	const visit = (s: vscode.SymbolInformation | vscode.DocumentSymbol, container: string | undefined) => {
+		if ('location' in s) {
+			const parent = container ?? s.containerName;
+			flat.push({
+				name: s.name,
+				qualifiedName: parent ? `${parent}.${s.name}` : s.name,
+				kind: SYMBOL_KINDS[s.kind],
+				detail: null,
+				range: s.location.range,
+				selectionRange: s.location.range,
+			});
+			return;
+		}
+		const qualifiedName = container ? `${container}.${s.name}` : s.name;
+		flat.push({
+			name: s.name,
+			qualifiedName,
+			kind: SYMBOL_KINDS[s.kind],
+			detail: s.detail || null,
+			range: s.range,
+			selectionRange: s.selectionRange,
+		});
+		for (const child of s.children ?? []) { visit(child, qualifiedName); }
+	};
+	symbols.forEach(s => visit(s, undefined));
+	return flat;
+}
+
+// Resolves a file and position, or a symbol name ("method" or "Class.method"),
+// optionally scoped to a file, to the position of that symbol's name.
+async function resolveSymbolTarget(
+	args: { path?: string; uri?: string; position?: JsonPosition; symbol?: string },
+	token: vscode.CancellationToken,
+): Promise<{ uri: vscode.Uri; position: vscode.Position }> {
+	if (args.position) {
+		return { uri: resolveUri(args), position: toPosition(args.position) };
+	}
+	if (!args.symbol) { throw new Error('Either position or symbol is required'); }
+	if (args.path || args.uri) {
+		const uri = resolveUri(args);
+		const symbols = await getDocumentSymbols(uri, token);
+		const match = symbols.find(s => s.qualifiedName === args.symbol)
+			?? symbols.find(s => s.name === args.symbol);
+		if (!match) { throw new Error(`No symbol "${args.symbol}" in ${documentPath(uri)}`); }
+		return { uri, position: match.selectionRange.start };
+	}
+	const dot = args.symbol.lastIndexOf('.');
+	const name = args.symbol.slice(dot + 1);
+	const container = dot >= 0 ? args.symbol.slice(0, dot) : undefined;
+	const symbols = await executeProvider<vscode.SymbolInformation[]>(
+		token, 'vscode.executeWorkspaceSymbolProvider', name) ?? [];
+	const match = symbols.find(s => s.name === name && (!container || s.containerName === container));
+	if (!match) { throw new Error(`No symbol "${args.symbol}" found in the workspace`); }
+	return { uri: match.location.uri, position: match.location.range.start };
+}
+
+function fromCallHierarchyItem(item: vscode.CallHierarchyItem) {
+	return {
+		name: item.name,
+		kind: SYMBOL_KINDS[item.kind],
+		detail: item.detail || null,
+		path: documentPath(item.uri),
+		range: fromRange(item.selectionRange),
+	};
+}
+
+// Refactorings: preview a WorkspaceEdit, then apply it by action ID
+
+const MAX_PREVIEW_TEXT_CHARS = 200;
+
+function summarizeWorkspaceEdit(edit: vscode.WorkspaceEdit) {
+	const files = edit.entries().map(([uri, edits]) => ({
+		path: documentPath(uri),
+		edits: edits.map(e => ({
+			range: fromRange(e.range),
+			newText: truncateOutput(e.newText, MAX_PREVIEW_TEXT_CHARS),
+		})),
+	}));
+	return { files, totalEdits: files.reduce((n, f) => n + f.edits.length, 0) };
+}
+
+function addPendingAction(action: Omit<PendingAction, 'versions'>): string {
+	const versions = new Map<string, number>();
+	for (const [uri] of action.edit?.entries() ?? []) {
+		const document = vscode.workspace.textDocuments.find(d => d.uri.toString() === uri.toString());
+		if (document) { versions.set(uri.toString(), document.version); }
+	}
+	const id = `action-${nextActionId++}`;
+	pendingActions.set(id, { ...action, versions });
+	// Maps iterate in insertion order, so the first key is the oldest
+	if (pendingActions.size > MAX_PENDING_ACTIONS) {
+		pendingActions.delete(pendingActions.keys().next().value!);
+	}
+	return id;
+}
+
+async function applyPendingAction(actionId: string) {
+	const action = pendingActions.get(actionId);
+	if (!action) { throw new Error(`No pending action "${actionId}"; it was applied already or has expired`); }
+	for (const document of vscode.workspace.textDocuments) {
+		const version = action.versions.get(document.uri.toString());
+		if (version !== undefined && document.version !== version) {
+			pendingActions.delete(actionId);
+			throw new Error(
+				`${documentPath(document.uri)} has changed since "${action.title}" was previewed; preview it again`
+			);
+		}
+	}
+	pendingActions.delete(actionId);
+	if (action.edit && !await vscode.workspace.applyEdit(action.edit)) {
+		throw new Error(`"${action.title}" could not be applied`);
+	}
+	if (action.command) {
+		await vscode.commands.executeCommand(action.command.command, ...(action.command.arguments ?? []));
+	}
+	return {
+		applied: action.title,
+		...(action.edit ? summarizeWorkspaceEdit(action.edit) : {}),
+	};
+}
+
+function globToRegExp(glob: string): RegExp {
+	let re = '';
+	let braceDepth = 0;
+	for (let i = 0; i < glob.length; i++) {
+		const ch = glob[i];
+		if (ch === '*') {
+			if (glob[i + 1] === '*') {
+				i++;
+				if (glob[i + 1] === '/') { i++; re += '(?:.*/)?'; } else { re += '.*'; }
+			} else {
+				re += '[^/]*';
+			}
+		} else if (ch === '?') {
+			re += '[^/]';
+		} else if (ch === '{') {
+			braceDepth++;
+			re += '(?:';
+		} else if (ch === '}' && braceDepth > 0) {
+			braceDepth--;
+			re += ')';
+		} else if (ch === ',' && braceDepth > 0) {
+			re += '|';
+		} else {
+			re += escapeRegExp(ch);
+		}
+	}
+	return new RegExp(`^${re}$`);
+}
+
+function escapeRegExp(text: string): string {
+	return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Expands $&, $1, $<name> and $$ in a regex replacement for one match.
+function expandReplacement(template: string, match: RegExpMatchArray): string {
+	return template.replace(/\$(\$|&|\d{1,2}|<[^>]+>)/g, (token, ref: string) => {
+		if (ref === '$') { return '$'; }
+		if (ref === '&') { return match[0]; }
+		if (ref.startsWith('<')) { return match.groups?.[ref.slice(1, -1)] ?? ''; }
+		const group = Number(ref);
+		return group < match.length ? match[group] ?? '' : token;
+	});
+}
+
+// Workspace tasks from tasks.json and task providers (npm, tsc, ...)
+
+function fromTask(task: vscode.Task) {
+	return {
+		name: task.name,
+		source: task.source,
+		type: task.definition.type,
+		group: task.group?.id ?? null,
+		detail: task.detail ?? null,
+		folder: typeof task.scope === 'object' ? task.scope.uri.fsPath : null,
+		isBackground: task.isBackground,
+		problemMatchers: task.problemMatchers,
+	};
+}
+
+async function findTask(args: { name: string; source?: string; folder?: string }): Promise<vscode.Task> {
+	const matches = (await vscode.tasks.fetchTasks()).filter(task =>
+		task.name === args.name &&
+		(!args.source || task.source === args.source) &&
+		(!args.folder || (typeof task.scope === 'object' &&
+			(task.scope.name === args.folder || task.scope.uri.fsPath === args.folder))));
+	if (!matches.length) { throw new Error(`No task named "${args.name}"; use list_tasks to see the available tasks`); }
+	if (matches.length > 1) {
+		throw new Error(
+			`${matches.length} tasks are named "${args.name}" (sources: ${matches.map(t => t.source).join(', ')}); ` +
+			'give a source or folder to pick one'
+		);
+	}
+	return matches[0];
+}
+
+// Diagnostic sources set by VS Code's built-in problem matchers. Matchers
+// from tasks.json or other extensions can use any source, so a task with one
+// of those gets the diagnostics of every source in the files it reported on.
+const PROBLEM_MATCHER_SOURCES: Record<string, string> = {
+	'$tsc': 'ts',
+	'$tsc-watch': 'ts',
+	'$eslint-compact': 'eslint',
+	'$eslint-stylish': 'eslint',
+	'$jshint': 'jshint',
+	'$jshint-stylish': 'jshint',
+	'$go': 'go',
+};
+
+// The current problems in the files whose diagnostics were set while the
+// task ran. Problem matchers report every problem they find again on each
+// run, so a rebuild with the same errors still lists them.
+function taskProblems(task: vscode.Task, reported: Map<string, vscode.Uri>) {
+	if (!task.problemMatchers.length) { return []; }
+	const sources = task.problemMatchers.map(name => PROBLEM_MATCHER_SOURCES[name]);
+	const known = sources.every(Boolean) ? new Set(sources) : undefined;
+	const files = [];
+	for (const uri of reported.values()) {
+		const diagnostics = vscode.languages.getDiagnostics(uri)
+			.map(toJsonDiagnostic)
+			.filter(d => !known || (d.source !== null && known.has(d.source)));
+		if (diagnostics.length) { files.push({ path: documentPath(uri), diagnostics }); }
+	}
+	return files;
+}
+
+// Runs a task and waits for it to end. Background tasks such as watchers do
+// not end, so they run until the timeout and are left running.
+async function runTask(task: vscode.Task, timeoutMs: number, token: vscode.CancellationToken) {
+	const start = Date.now();
+	const reported = new Map<string, vscode.Uri>();
+	let execution: vscode.TaskExecution | undefined;
+	let exitCode: number | undefined;
+	let finished = false;
+	let timedOut = false;
+
+	let onEnd!: () => void;
+	const ended = new Promise<void>(resolve => onEnd = resolve);
+	const listeners = [
+		vscode.languages.onDidChangeDiagnostics(e => {
+			for (const uri of e.uris) { reported.set(uri.toString(), uri); }
+		}),
+		vscode.tasks.onDidEndTaskProcess(e => {
+			if (e.execution === execution) { exitCode = e.exitCode; }
+		}),
+		// Fires after the process end, once the problem matchers are done
+		vscode.tasks.onDidEndTask(e => {
+			if (e.execution === execution) { finished = true; onEnd(); }
+		}),
+	];
+
+	let timer: ReturnType<typeof setTimeout> | undefined;
+	try {
+		execution = await vscode.tasks.executeTask(task);
+		const timeout = new Promise<void>(resolve => {
+			timer = setTimeout(() => { timedOut = true; resolve(); }, timeoutMs);
+		});
+		const cancelled = new Promise<void>(resolve => {
+			listeners.push(token.onCancellationRequested(() => resolve()));
+		});
+		await Promise.race([ended, timeout, cancelled]);
+	} finally {
+		if (timer) { clearTimeout(timer); }
+		listeners.forEach(l => l.dispose());
+	}
+	if (token.isCancellationRequested && !finished) {
+		execution.terminate();
+		throw new vscode.CancellationError();
+	}
+
+	return {
+		name: task.name,
+		source: task.source,
+		exitCode: exitCode ?? null,
+		timedOut,
+		durationMs: Date.now() - start,
+		problems: taskProblems(task, reported),
+	};
+}
+
+// Source control, through the API the built-in Git extension exports. Only
+// the parts used here are typed; see extensions/git/src/api/git.d.ts in VS Code.
+
+interface GitChange {
+	readonly uri: vscode.Uri;
+	readonly originalUri: vscode.Uri;
+	readonly renameUri: vscode.Uri | undefined;
+	readonly status: number;
+}
+
+interface GitRepository {
+	readonly rootUri: vscode.Uri;
+	readonly inputBox: { value: string };
+	readonly state: {
+		readonly HEAD: {
+			readonly name?: string;
+			readonly commit?: string;
+			readonly upstream?: { remote: string; name: string };
+			readonly ahead?: number;
+			readonly behind?: number;
+		} | undefined;
+		readonly mergeChanges: GitChange[];
+		readonly indexChanges: GitChange[];
+		readonly workingTreeChanges: GitChange[];
+		// Only filled when git.untrackedChanges is "separate"
+		readonly untrackedChanges?: GitChange[];
+	};
+	add(paths: string[]): Promise<void>;
+	// Resets the index to HEAD for these paths, i.e. unstages them
+	revert(paths: string[]): Promise<void>;
+	diffWithHEAD(path: string): Promise<string>;
+	diffIndexWithHEAD(path: string): Promise<string>;
+}
+
+interface GitApi {
+	readonly repositories: GitRepository[];
+	getRepository(uri: vscode.Uri): GitRepository | null;
+	// URI of the file's contents at a ref, for diff editors
+	toGitUri(uri: vscode.Uri, ref: string): vscode.Uri;
+}
+
+interface GitExtension {
+	readonly enabled: boolean;
+	getAPI(version: 1): GitApi;
+}
+
+// Indexed by the Git extension's Status enum
+const GIT_STATUSES = [
+	'indexModified', 'indexAdded', 'indexDeleted', 'indexRenamed', 'indexCopied',
+	'modified', 'deleted', 'untracked', 'ignored', 'intentToAdd', 'intentToRename', 'typeChanged',
+	'addedByUs', 'addedByThem', 'deletedByUs', 'deletedByThem', 'bothAdded', 'bothDeleted', 'bothModified',
+];
+const GIT_UNTRACKED = 7;
+
+async function getGitApi(): Promise<GitApi> {
+	const extension = vscode.extensions.getExtension<GitExtension>('vscode.git');
+	if (!extension) { throw new Error('The built-in Git extension is not available'); }
+	const git = extension.isActive ? extension.exports : await extension.activate();
+	if (!git.enabled) { throw new Error('Git is disabled in this window (git.enabled is false)'); }
+	return git.getAPI(1);
+}
+
+// The repository containing path, or else the one for the first workspace folder
+async function findRepository(repositoryPath?: string): Promise<GitRepository> {
+	const git = await getGitApi();
+	if (repositoryPath) {
+		const repository = git.getRepository(vscode.Uri.file(repositoryPath));
+		if (!repository) { throw new Error(`${repositoryPath} is not in a Git repository open in this window`); }
+		return repository;
+	}
+	const folder = vscode.workspace.workspaceFolders?.[0];
+	const repository = (folder && git.getRepository(folder.uri)) ?? git.repositories[0];
+	if (!repository) { throw new Error('No Git repository is open in this window'); }
+	return repository;
+}
+
+// Paths may be absolute or relative to the repository root
+function repositoryPaths(repository: GitRepository, paths: unknown): string[] {
+	if (!Array.isArray(paths) || paths.length === 0) { throw new Error('paths must be a non-empty array'); }
+	return paths.map(p => path.resolve(repository.rootUri.fsPath, String(p)));
+}
+
+function fromGitChange(change: GitChange) {
+	return {
+		path: documentPath(change.uri),
+		status: GIT_STATUSES[change.status] ?? 'unknown',
+		...(change.renameUri ? { renamedFrom: documentPath(change.originalUri) } : {}),
+	};
+}
+
+function getRepositoryStatus(repository: GitRepository) {
+	const { HEAD, mergeChanges, indexChanges, workingTreeChanges, untrackedChanges = [] } = repository.state;
+	return {
+		root: repository.rootUri.fsPath,
+		branch: HEAD?.name ?? null,
+		commit: HEAD?.commit ?? null,
+		upstream: HEAD?.upstream ? `${HEAD.upstream.remote}/${HEAD.upstream.name}` : null,
+		ahead: HEAD?.ahead ?? null,
+		behind: HEAD?.behind ?? null,
+		staged: indexChanges.map(fromGitChange),
+		unstaged: workingTreeChanges.filter(c => c.status !== GIT_UNTRACKED).map(fromGitChange),
+		untracked: [...workingTreeChanges.filter(c => c.status === GIT_UNTRACKED), ...untrackedChanges]
+			.map(c => documentPath(c.uri)),
+		conflicts: mergeChanges.map(fromGitChange),
+	};
+}
+
+// Debugging. Launching and breakpoints use the vscode.debug API; stack
+// frames, scopes and variables come from the debug adapter as DAP requests.
+// DAP lines and columns are one-based, ours are zero-based.
+
+function launchConfigurations(folder: vscode.WorkspaceFolder | undefined) {
+	const launch = vscode.workspace.getConfiguration('launch', folder?.uri);
+	return {
+		configurations: launch.get<any[]>('configurations', []),
+		compounds: launch.get<any[]>('compounds', []),
+	};
+}
+
+function hasLaunchConfiguration(folder: vscode.WorkspaceFolder | undefined, name: string): boolean {
+	const { configurations, compounds } = launchConfigurations(folder);
+	return [...configurations, ...compounds].some(c => c.name === name);
+}
+
+function findLaunchFolder(name: string, folderName?: string): vscode.WorkspaceFolder | undefined {
+	const folders = vscode.workspace.workspaceFolders ?? [];
+	if (folderName) {
+		const folder = folders.find(f => f.name === folderName || f.uri.fsPath === folderName);
+		if (!folder) { throw new Error(`No workspace folder "${folderName}"`); }
+		return folder;
+	}
+	return folders.find(f => hasLaunchConfiguration(f, name)) ?? folders[0];
+}
+
+function fromDebugSession(session: vscode.DebugSession) {
+	return {
+		id: session.id,
+		name: session.name,
+		debugType: session.type,
+		folder: session.workspaceFolder?.uri.fsPath ?? null,
+		isActive: session.id === vscode.debug.activeDebugSession?.id,
+	};
+}
+
+function findDebugSession(sessionId?: string): vscode.DebugSession {
+	if (sessionId) {
+		const session = debugSessions.get(sessionId);
+		if (!session) {
+			throw new Error(`No debug session with id "${sessionId}"; use list_debug_sessions to see the running ones`);
+		}
+		return session;
+	}
+	const session = vscode.debug.activeDebugSession;
+	if (!session) { throw new Error('No active debug session; start one with start_debugging'); }
+	return session;
+}
+
+function fromBreakpoint(bp: vscode.Breakpoint) {
+	const common = {
+		id: bp.id,
+		enabled: bp.enabled,
+		condition: bp.condition ?? null,
+		hitCondition: bp.hitCondition ?? null,
+		logMessage: bp.logMessage ?? null,
+	};
+	if (bp instanceof vscode.SourceBreakpoint) {
+		return { ...common, kind: 'source', path: documentPath(bp.location.uri), line: bp.location.range.start.line };
+	}
+	if (bp instanceof vscode.FunctionBreakpoint) {
+		return { ...common, kind: 'function', functionName: bp.functionName };
+	}
+	return { ...common, kind: 'other' };
+}
+
+// Adapters can hang while the debuggee is busy, so requests give up when cancelled
+function debugRequest(session: vscode.DebugSession, command: string, args: object, token: vscode.CancellationToken) {
+	return untilCancelled(session.customRequest(command, args), token);
+}
+
+// The thread focused in the Call Stack view, or else the session's first thread
+async function resolveThreadId(
+	session: vscode.DebugSession,
+	threadId: number | undefined,
+	token: vscode.CancellationToken,
+): Promise<number> {
+	if (threadId !== undefined) { return threadId; }
+	const focused = vscode.debug.activeStackItem;
+	if (focused && focused.session.id === session.id) { return focused.threadId; }
+	const { threads } = await debugRequest(session, 'threads', {}, token);
+	if (!threads?.length) { throw new Error(`Debug session "${session.name}" has no threads`); }
+	return threads[0].id;
+}
+
+// The frame focused in the Call Stack view, or else the top frame of the thread
+async function resolveFrameId(
+	session: vscode.DebugSession,
+	frameId: number | undefined,
+	token: vscode.CancellationToken,
+): Promise<number> {
+	if (frameId !== undefined) { return frameId; }
+	const focused = vscode.debug.activeStackItem;
+	if (focused && 'frameId' in focused && focused.session.id === session.id) { return focused.frameId; }
+	const threadId = await resolveThreadId(session, undefined, token);
+	const { stackFrames } = await debugRequest(session, 'stackTrace', { threadId, startFrame: 0, levels: 1 }, token);
+	if (!stackFrames?.length) { throw new Error(`Thread ${threadId} has no stack frames; is it stopped?`); }
+	return stackFrames[0].id;
+}
+
+function fromStackFrame(frame: any) {
+	return {
+		id: frame.id,
+		name: frame.name,
+		path: frame.source?.path ?? frame.source?.name ?? null,
+		line: frame.line > 0 ? frame.line - 1 : null,
+		column: frame.column > 0 ? frame.column - 1 : null,
+	};
+}
+
+function fromVariable(variable: any) {
+	return {
+		name: variable.name,
+		value: variable.value,
+		type: variable.type ?? null,
+		// Non-zero for objects and arrays; pass to get_variables to expand
+		variablesReference: variable.variablesReference,
+	};
+}
+
+async function handleCommand(
+	command: string,
+	args: any,
+	session: RequestSession,
+	token: vscode.CancellationToken,
+): Promise<any> {
 	switch (command) {
 		case 'saveAll':
 			await vscode.commands.executeCommand('workbench.action.files.saveAll');
@@ -172,15 +1948,128 @@ async function handleCommand(command: string, args: any): Promise<any> {
 
 		case 'openFile': {
 			const uri = vscode.Uri.file(args.path);
-			await vscode.commands.executeCommand('vscode.open', uri);
+			const options = toShowOptions(args);
+			if (args.range) {
+				options.selection = toRange(args.range);
+			} else if (args.position) {
+				options.selection = new vscode.Range(toPosition(args.position), toPosition(args.position));
+			}
+			await vscode.commands.executeCommand('vscode.open', uri, options);
 			return `Opened ${args.path}`;
 		}
 
+		case 'openDiff': {
+			const uri = vscode.Uri.file(args.path);
+			const name = path.basename(args.path);
+			const sources = [args.comparePath, args.ref, args.text].filter(v => v !== undefined);
+			if (sources.length !== 1) { throw new Error('Give exactly one of comparePath, ref or text'); }
+			let left: vscode.Uri;
+			let right: vscode.Uri;
+			let title: string;
+			if (args.comparePath !== undefined) {
+				[left, right] = [uri, vscode.Uri.file(args.comparePath)];
+				title = `${name} ↔ ${path.basename(args.comparePath)}`;
+			} else if (args.ref !== undefined) {
+				const git = await getGitApi();
+				if (!git.getRepository(uri)) { throw new Error(`${args.path} is not in a Git repository open in this window`); }
+				[left, right] = [git.toGitUri(uri, args.ref), uri];
+				title = `${name} (${args.ref}) ↔ ${name}`;
+			} else {
+				[left, right] = [uri, addDiffText(args.path, args.text)];
+				title = `${name} ↔ proposed`;
+			}
+			await vscode.commands.executeCommand('vscode.diff', left, right, args.title ?? title, toShowOptions(args));
+			return `Opened diff ${args.title ?? title}`;
+		}
+
 		case 'getOpenFiles': {
 			const tabs = vscode.window.tabGroups.all.flatMap(g => g.tabs);
 			return tabs
-				.map(t => (t.input as any)?.uri?.fsPath)
-				.filter(Boolean);
+				.map(t => (t.input as any)?.uri)
+				.filter(Boolean)
+				.map(documentPath);
+		}
+
+		case 'listTabs':
+			return vscode.window.tabGroups.all.map(group => ({
+				viewColumn: group.viewColumn,
+				isActive: group.isActive,
+				tabs: group.tabs.map(fromTab),
+			}));
+
+		case 'closeTabs': {
+			const policy: string = args.dirty ?? 'fail';
+			if (!DIRTY_TAB_POLICIES.includes(policy)) {
+				throw new Error(`Unknown dirty policy "${policy}"; use ${DIRTY_TAB_POLICIES.join(', ')}`);
+			}
+			const paths: string[] = [...new Set<string>(args.paths)];
+			const notOpen = paths.filter(p => findTabs(p).length === 0);
+			const open = paths.filter(p => !notOpen.includes(p));
+			const dirty = open.filter(p => findTabs(p).some(t => t.isDirty));
+			if (dirty.length > 0 && policy === 'fail') {
+				throw new Error(
+					`Unsaved changes in ${dirty.join(', ')}; nothing was closed. ` +
+					'Pass dirty "save", "revert" or "skip" to decide what happens to them.'
+				);
+			}
+			const saved: string[] = [];
+			const reverted: string[] = [];
+			const skipped = policy === 'skip' ? dirty : [];
+			for (const p of dirty) {
+				const tab = findTabs(p).find(t => t.isDirty)!;
+				if (policy === 'save') {
+					await saveTab(p, tab);
+					saved.push(p);
+				} else if (policy === 'revert') {
+					await showTab(tab);
+					await vscode.commands.executeCommand('workbench.action.files.revert');
+					reverted.push(p);
+				}
+			}
+			const closed = open.filter(p => !skipped.includes(p));
+			// Looked up again: showing a tab to save or revert it can replace its Tab object
+			const tabs = [...new Set(closed.flatMap(findTabs))];
+			if (tabs.length > 0) { await vscode.window.tabGroups.close(tabs, true); }
+			return { closed, saved, reverted, skipped, notOpen };
+		}
+
+		case 'moveTab': {
+			const tab = findTab(args.path, args.fromViewColumn);
+			const target = toViewColumn(args.toViewColumn);
+			if (target === tab.group.viewColumn) { return `${args.path} is already in column ${target}`; }
+			await showTab(tab, { viewColumn: target, preserveFocus: false });
+			if (tab.isPinned) { await vscode.commands.executeCommand('workbench.action.pinEditor'); }
+			// The document stays open in the new tab, so closing the old one never prompts
+			await vscode.window.tabGroups.close(tab, true);
+			return `Moved ${args.path} to column ${vscode.window.tabGroups.activeTabGroup.viewColumn}`;
+		}
+
+		case 'pinTab': {
+			const tab = findTab(args.path, args.viewColumn);
+			const pinned = args.pinned ?? true;
+			if (tab.isPinned !== pinned) {
+				await showTab(tab);
+				await vscode.commands.executeCommand(pinned ? 'workbench.action.pinEditor' : 'workbench.action.unpinEditor');
+			}
+			return `${pinned ? 'Pinned' : 'Unpinned'} ${args.path}`;
+		}
+
+		case 'splitEditor': {
+			const direction = args.direction ?? 'right';
+			if (direction !== 'right' && direction !== 'down') {
+				throw new Error(`Unknown split direction "${direction}"; use right or down`);
+			}
+			if (args.path) { await showTab(findTab(args.path, args.viewColumn)); }
+			await vscode.commands.executeCommand(
+				direction === 'down' ? 'workbench.action.splitEditorDown' : 'workbench.action.splitEditorRight'
+			);
+			return `Split ${args.path ?? 'the active editor'} ${direction === 'down' ? 'down' : 'to the right'}`;
+		}
+
+		case 'joinEditorGroups': {
+			const groups = vscode.window.tabGroups.all.length;
+			await vscode.commands.executeCommand('workbench.action.joinAllGroups');
+			return `Joined ${groups} editor groups into one`;
 		}
 
 		case 'showMessage':
@@ -196,12 +2085,16 @@ async function handleCommand(command: string, args: any): Promise<any> {
 		case 'listTerminals': {
 			const terminals = vscode.window.terminals;
 			const active = vscode.window.activeTerminal;
-			return Promise.all(terminals.map(async (t, i) => ({
+			const open = await Promise.all(terminals.map(async (t, i) => ({
+				id: getTerminalId(t),
 				index: i,
 				name: t.name,
+				status: 'open',
 				isActive: t === active,
 				processId: await t.processId,
 			})));
+			if (args.includeClosed === false) { return open; }
+			return [...open, ...closedTerminals.map(c => ({ ...c, status: 'closed' }))];
 		}
 
 		case 'createTerminal': {
@@ -213,6 +2106,7 @@ async function handleCommand(command: string, args: any): Promise<any> {
 			const terminal = vscode.window.createTerminal(options);
 			if (args.show !== false) { terminal.show(true); }
 			return {
+				id: getTerminalId(terminal),
 				name: terminal.name,
 				index: vscode.window.terminals.indexOf(terminal),
 			};
@@ -220,10 +2114,62 @@ async function handleCommand(command: string, args: any): Promise<any> {
 
 		case 'sendTerminalText': {
 			const terminal = findTerminal(args);
+			if (agentTerminals.get(getTerminalId(terminal))?.running === false) {
+				throw new Error(`The process in terminal "${terminal.name}" has already exited`);
+			}
 			terminal.sendText(args.text, args.addNewLine !== false);
 			return `Sent text to terminal "${terminal.name}"`;
 		}
 
+		case 'runTerminalCommand': {
+			const terminal = findTerminal(args);
+			return runTerminalCommand(
+				terminal,
+				args.command,
+				args.timeoutMs ?? DEFAULT_COMMAND_TIMEOUT_MS,
+				args.maxOutputChars ?? DEFAULT_MAX_OUTPUT_CHARS,
+				token,
+			);
+		}
+
+		case 'createAgentTerminal': {
+			const pty = new AgentTerminal(args.command, {
+				cwd: args.cwd ?? vscode.workspace.workspaceFolders?.[0]?.uri.fsPath,
+				env: args.env,
+			});
+			const terminal = vscode.window.createTerminal({ name: args.name || 'Agent', pty });
+			const id = getTerminalId(terminal);
+			agentTerminals.set(id, pty);
+			if (args.show !== false) { terminal.show(true); }
+			return { id, name: terminal.name, pid: pty.pid ?? null };
+		}
+
+		case 'readTerminalOutput': {
+			const agent = findAgentTerminal(args);
+			return agent.read(args.offset, args.maxChars ?? DEFAULT_MAX_OUTPUT_CHARS);
+		}
+
+		case 'sendTerminalKeys': {
+			const agent = findAgentTerminal(args);
+			const keys: string[] = args.keys || [];
+			for (const key of keys) {
+				const sequence = KEY_SEQUENCES[key.toLowerCase()];
+				if (sequence === undefined) {
+					throw new Error(`Unknown key "${key}". Known keys: ${Object.keys(KEY_SEQUENCES).join(', ')}`);
+				}
+			}
+			if (!agent.running) { throw new Error('Process has already exited'); }
+			for (const key of keys) { agent.handleInput(KEY_SEQUENCES[key.toLowerCase()]); }
+			if (args.signal) { agent.signal(args.signal); }
+			return `Sent ${[...keys, ...(args.signal ? [args.signal] : [])].join(', ')}`;
+		}
+
+		case 'resizeTerminal': {
+			const agent = findAgentTerminal(args);
+			agent.resize(args.columns, args.rows);
+			return `Resized terminal to ${args.columns}x${args.rows}`;
+		}
+
 		case 'closeTerminal': {
 			const terminal = findTerminal(args);
 			const name = terminal.name;
@@ -237,6 +2183,400 @@ async function handleCommand(command: string, args: any): Promise<any> {
 			return `Showing terminal "${terminal.name}"`;
 		}
 
+		case 'readDocument': {
+			const document = await openDocument(args);
+			return readDocument(document, args);
+		}
+
+		case 'getEditorState': {
+			const active = vscode.window.activeTextEditor;
+			return {
+				activeEditor: active ? getEditorState(active) : null,
+				visibleEditors: vscode.window.visibleTextEditors.map(e => ({
+					path: documentPath(e.document.uri),
+					viewColumn: e.viewColumn ?? null,
+					isActive: e === active,
+				})),
+			};
+		}
+
+		case 'setEditorState': {
+			let editor = vscode.window.activeTextEditor;
+			if (args.path || args.uri) {
+				const document = await openDocument(args);
+				editor = await vscode.window.showTextDocument(document, {
+					viewColumn: args.viewColumn,
+					preserveFocus: args.preserveFocus ?? false,
+				});
+			}
+			if (!editor) { throw new Error('No active editor; pass a path to open one'); }
+			if (args.selections?.length) {
+				editor.selections = args.selections.map((s: { anchor: JsonPosition; active?: JsonPosition }) =>
+					new vscode.Selection(toPosition(s.anchor), toPosition(s.active ?? s.anchor)));
+			}
+			const reveal = args.reveal ? toRange(args.reveal) : editor.selection;
+			editor.revealRange(reveal, toRevealType(args.revealType));
+			return getEditorState(editor);
+		}
+
+		case 'getDiagnostics': {
+			const maxResults = args.maxResults ?? DEFAULT_MAX_DIAGNOSTICS;
+			const entries: [vscode.Uri, vscode.Diagnostic[]][] = args.path || args.uri
+				? [[resolveUri(args), vscode.languages.getDiagnostics(resolveUri(args))]]
+				: vscode.languages.getDiagnostics();
+			let total = 0;
+			const files = [];
+			for (const [uri, diagnostics] of entries) {
+				if (!matchesDiagnosticUri(uri, args)) { continue; }
+				const matching = diagnostics.map(toJsonDiagnostic).filter(d => matchesDiagnostic(d, args));
+				if (!matching.length) { continue; }
+				const remaining = maxResults - Math.min(total, maxResults);
+				total += matching.length;
+				if (remaining > 0) {
+					files.push({ path: documentPath(uri), diagnostics: matching.slice(0, remaining) });
+				}
+			}
+			return { cursor: diagnosticSeq, total, truncated: total > maxResults, files };
+		}
+
+		case 'getDiagnosticChanges': {
+			const since = args.since ?? 0;
+			let files = collectDiagnosticChanges(since, args);
+			// Changes outside the filter, or that net out, wake the waiter without ending the wait
+			const deadline = Date.now() + (args.waitMs ?? 0);
+			while (!files.length && Date.now() < deadline && !token.isCancellationRequested) {
+				await waitForDiagnosticChange(deadline - Date.now(), token);
+				files = collectDiagnosticChanges(since, args);
+			}
+			return {
+				cursor: diagnosticSeq,
+				incomplete: diagnosticChanges.length > 0 && diagnosticChanges[0].seq > since + 1,
+				files,
+			};
+		}
+
+		case 'findDefinition': {
+			const { uri, position } = await resolveSymbolTarget(args, token);
+			const locations = await executeProvider<(vscode.Location | vscode.LocationLink)[]>(
+				token, 'vscode.executeDefinitionProvider', uri, position) ?? [];
+			return locations.map(fromLocation);
+		}
+
+		case 'findReferences': {
+			const { uri, position } = await resolveSymbolTarget(args, token);
+			const locations = await executeProvider<vscode.Location[]>(
+				token, 'vscode.executeReferenceProvider', uri, position) ?? [];
+			return limitResults(locations.map(fromLocation), args.maxResults ?? DEFAULT_MAX_LOCATIONS);
+		}
+
+		case 'getHover': {
+			const { uri, position } = await resolveSymbolTarget(args, token);
+			const hovers = await executeProvider<vscode.Hover[]>(
+				token, 'vscode.executeHoverProvider', uri, position) ?? [];
+			return hovers.map(h => ({
+				range: h.range ? fromRange(h.range) : null,
+				contents: h.contents.map(hoverText),
+			}));
+		}
+
+		case 'getDocumentSymbols': {
+			const symbols = await getDocumentSymbols(resolveUri(args), token);
+			return symbols.map(s => ({
+				name: s.name,
+				qualifiedName: s.qualifiedName,
+				kind: s.kind,
+				detail: s.detail,
+				range: fromRange(s.range),
+				selectionRange: fromRange(s.selectionRange),
+			}));
+		}
+
+		case 'findWorkspaceSymbols': {
+			const symbols = await executeProvider<vscode.SymbolInformation[]>(
+				token, 'vscode.executeWorkspaceSymbolProvider', args.query ?? '') ?? [];
+			return limitResults(symbols.map(s => ({
+				name: s.name,
+				containerName: s.containerName || null,
+				kind: SYMBOL_KINDS[s.kind],
+				...fromLocation(s.location),
+			})), args.maxResults ?? DEFAULT_MAX_LOCATIONS);
+		}
+
+		case 'getCallHierarchy': {
+			const { uri, position } = await resolveSymbolTarget(args, token);
+			const items = await executeProvider<vscode.CallHierarchyItem[]>(
+				token, 'vscode.prepareCallHierarchy', uri, position) ?? [];
+			if (!items.length) { throw new Error('No call hierarchy available at this position'); }
+			const incoming = args.direction !== 'outgoing';
+			return Promise.all(items.map(async item => {
+				const calls = incoming
+					? await executeProvider<vscode.CallHierarchyIncomingCall[]>(
+						token, 'vscode.provideIncomingCalls', item) ?? []
+					: await executeProvider<vscode.CallHierarchyOutgoingCall[]>(
+						token, 'vscode.provideOutgoingCalls', item) ?? [];
+				return {
+					item: fromCallHierarchyItem(item),
+					direction: incoming ? 'incoming' : 'outgoing',
+					calls: calls.map(c => ({
+						...fromCallHierarchyItem('from' in c ? c.from : c.to),
+						fromRanges: c.fromRanges.map(fromRange),
+					})),
+				};
+			}));
+		}
+
+		case 'renameSymbol': {
+			if (args.actionId) { return applyPendingAction(args.actionId); }
+			if (!args.newName) { throw new Error('newName is required'); }
+			const { uri, position } = await resolveSymbolTarget(args, token);
+			const edit = await executeProvider<vscode.WorkspaceEdit>(
+				token, 'vscode.executeDocumentRenameProvider', uri, position, args.newName);
+			if (!edit || edit.size === 0) { throw new Error('Nothing to rename at this position'); }
+			const title = `Rename to ${args.newName}`;
+			return { actionId: addPendingAction({ title, edit }), title, ...summarizeWorkspaceEdit(edit) };
+		}
+
+		case 'getCodeActions': {
+			const document = await openDocument(args);
+			const range = args.range ? toRange(args.range)
+				: args.position ? new vscode.Range(toPosition(args.position), toPosition(args.position))
+				: new vscode.Range(new vscode.Position(0, 0), document.positionAt(document.getText().length));
+			const actions = await executeProvider<(vscode.CodeAction | vscode.Command)[]>(
+				token, 'vscode.executeCodeActionProvider', document.uri, range, args.kind, CODE_ACTION_RESOLVE_COUNT) ?? [];
+			return actions.map(a => {
+				if (typeof a.command === 'string') {
+					const command = a as vscode.Command;
+					return { actionId: addPendingAction({ title: command.title, command }), title: command.title, kind: null };
+				}
+				const action = a as vscode.CodeAction;
+				return {
+					actionId: action.disabled ? null : addPendingAction({
+						title: action.title,
+						edit: action.edit,
+						command: action.command,
+					}),
+					title: action.title,
+					kind: action.kind?.value ?? null,
+					isPreferred: action.isPreferred ?? false,
+					disabled: action.disabled?.reason ?? null,
+					runsCommand: action.command !== undefined,
+					...(action.edit ? summarizeWorkspaceEdit(action.edit) : {}),
+				};
+			});
+		}
+
+		case 'applyCodeAction':
+			return applyPendingAction(args.actionId);
+
+		case 'applyTextEdits': {
+			const document = await openDocument(args);
+			const edits: DocumentEdit[] = (args.edits || []).map((e: any, i: number) => {
+				if (!e?.range && !e?.position) { throw new Error(`Edit ${i} needs a range or a position`); }
+				return {
+					range: e.range ? toRange(e.range) : new vscode.Range(toPosition(e.position), toPosition(e.position)),
+					text: e.text ?? '',
+				};
+			});
+			if (edits.length === 0) { throw new Error('No edits given'); }
+			return applyDocumentEdits(document, edits);
+		}
+
+		case 'replaceInDocument': {
+			if (typeof args.find !== 'string' || args.find === '') { throw new Error('No find text given'); }
+			if (typeof args.replace !== 'string') {
+				throw new Error('No replace text given; pass "" to delete the matches');
+			}
+			const document = await openDocument(args);
+			const flags = 'gm' + (args.caseSensitive === false ? 'i' : '');
+			const pattern = new RegExp(args.regex ? args.find : escapeRegExp(args.find), flags);
+			const matches = [...document.getText().matchAll(pattern)];
+			const maxMatches = args.maxMatches ?? 100;
+			if (matches.length === 0) { throw new Error(`No matches for ${pattern}`); }
+			if (matches.length > maxMatches) {
+				throw new Error(
+					`Found ${matches.length} matches, more than maxMatches (${maxMatches}). ` +
+					'Narrow the pattern or raise maxMatches.'
+				);
+			}
+			const edits = matches.map(m => ({
+				range: new vscode.Range(
+					document.positionAt(m.index!),
+					document.positionAt(m.index! + m[0].length),
+				),
+				text: args.regex ? expandReplacement(args.replace, m) : args.replace,
+			}));
+			return applyDocumentEdits(document, edits);
+		}
+
+		case 'listTasks': {
+			const tasks = await vscode.tasks.fetchTasks(args.type ? { type: args.type } : undefined);
+			return tasks.map(fromTask);
+		}
+
+		case 'runTask': {
+			const task = await findTask(args);
+			return runTask(task, args.timeoutMs ?? DEFAULT_COMMAND_TIMEOUT_MS, token);
+		}
+
+		case 'getScmStatus':
+			return getRepositoryStatus(await findRepository(args.repository));
+
+		case 'stageFiles': {
+			const repository = await findRepository(args.repository);
+			await repository.add(repositoryPaths(repository, args.paths));
+			return getRepositoryStatus(repository);
+		}
+
+		case 'unstageFiles': {
+			const repository = await findRepository(args.repository);
+			await repository.revert(repositoryPaths(repository, args.paths));
+			return getRepositoryStatus(repository);
+		}
+
+		case 'getFileDiff': {
+			const repository = await findRepository(args.repository);
+			const [file] = repositoryPaths(repository, [args.path]);
+			// Git has nothing to compare an untracked file with, and would return an empty diff
+			if (getRepositoryStatus(repository).untracked.includes(file)) {
+				throw new Error(`${args.path} is untracked, so it has no diff against HEAD; read the file instead`);
+			}
+			const diff = args.staged
+				? await repository.diffIndexWithHEAD(file)
+				: await repository.diffWithHEAD(file);
+			return truncateOutput(diff, args.maxChars ?? DEFAULT_MAX_OUTPUT_CHARS, 'start');
+		}
+
+		case 'getCommitMessage':
+			return (await findRepository(args.repository)).inputBox.value;
+
+		case 'setCommitMessage': {
+			const repository = await findRepository(args.repository);
+			repository.inputBox.value = args.message ?? '';
+			if (args.show) { await vscode.commands.executeCommand('workbench.view.scm'); }
+			return `Commit message set for ${repository.rootUri.fsPath}`;
+		}
+
+		case 'listLaunchConfigurations': {
+			const folders = vscode.workspace.workspaceFolders ?? [];
+			return (folders.length ? folders : [undefined]).flatMap(folder => {
+				const { configurations, compounds } = launchConfigurations(folder);
+				const folderPath = folder?.uri.fsPath ?? null;
+				return [
+					...configurations.map(c => ({
+						name: c.name, type: c.type, request: c.request, compound: false, folder: folderPath,
+					})),
+					...compounds.map(c => ({
+						name: c.name, configurations: c.configurations ?? [], compound: true, folder: folderPath,
+					})),
+				];
+			});
+		}
+
+		case 'startDebugging': {
+			const folder = findLaunchFolder(args.name, args.folder);
+			if (!hasLaunchConfiguration(folder, args.name)) {
+				throw new Error(
+					`No launch configuration or compound named "${args.name}". ` +
+					'Use list_launch_configurations to see the ones in launch.json.'
+				);
+			}
+			// A compound starts several sessions
+			const started: vscode.DebugSession[] = [];
+			const listener = vscode.debug.onDidStartDebugSession(s => started.push(s));
+			try {
+				const ok = await vscode.debug.startDebugging(folder, args.name, { noDebug: args.noDebug === true });
+				if (!ok) { throw new Error(`Could not start "${args.name}"; see the Debug Console for details`); }
+			} finally {
+				listener.dispose();
+			}
+			return { sessions: started.map(fromDebugSession) };
+		}
+
+		case 'stopDebugging': {
+			const debugSession = findDebugSession(args.sessionId);
+			await vscode.debug.stopDebugging(debugSession);
+			return `Stopped debug session "${debugSession.name}"`;
+		}
+
+		case 'listDebugSessions':
+			return [...debugSessions.values()].map(fromDebugSession);
+
+		case 'listBreakpoints':
+			return vscode.debug.breakpoints.map(fromBreakpoint);
+
+		case 'addBreakpoint': {
+			const location = new vscode.Location(resolveUri(args), new vscode.Position(args.line, 0));
+			const breakpoint = new vscode.SourceBreakpoint(
+				location, true, args.condition, args.hitCondition, args.logMessage);
+			vscode.debug.addBreakpoints([breakpoint]);
+			return fromBreakpoint(breakpoint);
+		}
+
+		case 'removeBreakpoints': {
+			if (!args.all && !args.id && !args.path) { throw new Error('Give an id, a path, or all: true'); }
+			const uri = args.path ? resolveUri(args).toString() : undefined;
+			const matches = vscode.debug.breakpoints.filter(bp => {
+				if (args.all) { return true; }
+				if (args.id) { return bp.id === args.id; }
+				return bp instanceof vscode.SourceBreakpoint &&
+					bp.location.uri.toString() === uri &&
+					(args.line === undefined || bp.location.range.start.line === args.line);
+			});
+			vscode.debug.removeBreakpoints(matches);
+			return { removed: matches.map(fromBreakpoint) };
+		}
+
+		case 'getStackTrace': {
+			const debugSession = findDebugSession(args.sessionId);
+			const threadId = await resolveThreadId(debugSession, args.threadId, token);
+			const { stackFrames, totalFrames } = await debugRequest(debugSession, 'stackTrace', {
+				threadId,
+				startFrame: 0,
+				levels: args.levels ?? DEFAULT_STACK_LEVELS,
+			}, token);
+			return {
+				sessionId: debugSession.id,
+				threadId,
+				totalFrames: totalFrames ?? stackFrames.length,
+				frames: stackFrames.map(fromStackFrame),
+			};
+		}
+
+		case 'getVariables': {
+			const debugSession = findDebugSession(args.sessionId);
+			if (args.variablesReference !== undefined) {
+				const { variables } = await debugRequest(debugSession, 'variables', {
+					variablesReference: args.variablesReference,
+				}, token);
+				return variables.map(fromVariable);
+			}
+			const frameId = await resolveFrameId(debugSession, args.frameId, token);
+			const { scopes } = await debugRequest(debugSession, 'scopes', { frameId }, token);
+			return Promise.all(scopes.map(async (scope: any) => ({
+				name: scope.name,
+				variablesReference: scope.variablesReference,
+				expensive: scope.expensive ?? false,
+				// Expensive scopes such as globals can be huge; expand them by reference instead
+				variables: scope.expensive ? null : (await debugRequest(debugSession, 'variables', {
+					variablesReference: scope.variablesReference,
+				}, token)).variables.map(fromVariable),
+			})));
+		}
+
+		case 'evaluateExpression': {
+			const debugSession = findDebugSession(args.sessionId);
+			const frameId = await resolveFrameId(debugSession, args.frameId, token);
+			const result = await debugRequest(debugSession, 'evaluate', {
+				expression: args.expression,
+				frameId,
+				context: args.context ?? 'repl',
+			}, token);
+			return { result: result.result, type: result.type ?? null, variablesReference: result.variablesReference };
+		}
+
+		case 'runBatch':
+			return runBatch(args, session, token);
+
 		case 'setAgentStatus': {
 			if (args.status === 'thinking') {
 				setAgentStatusDisplay('thinking');
@@ -255,10 +2595,31 @@ async function handleCommand(command: string, args: any): Promise<any> {
 
 function cleanup() {
 	stopFlash();
+	for (const agent of agentTerminals.values()) {
+		if (agent.running) {
+			try { agent.signal('SIGHUP'); } catch {}
+		}
+	}
+	agentTerminals.clear();
+	pendingActions.clear();
+	debugSessions.clear();
+	diffTexts.clear();
+	sessionApprovals.clear();
+	inFlightRequests.forEach(cancellation => cancellation.cancel());
+	inFlightRequests.clear();
+	diagnosticWaiters.forEach(resolve => resolve());
+	terminalsById.clear();
+	closedTerminals = [];
 	if (activityPollInterval) { clearInterval(activityPollInterval); }
+	pendingEvents.forEach(timer => clearTimeout(timer));
+	pendingEvents.clear();
+	// Open event streams would otherwise keep server.close() waiting
+	eventStreams.forEach(res => res.end());
+	eventStreams.clear();
 	server?.close();
-	if (portFilePath) {
-		try { fs.unlinkSync(portFilePath); } catch {}
+	if (heartbeatInterval) { clearInterval(heartbeatInterval); }
+	if (registryFilePath) {
+		try { fs.unlinkSync(registryFilePath); } catch {}
 	}
 }
 
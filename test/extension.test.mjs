@@ -8,7 +8,7 @@ import os from 'node:os';
 const PORTS_DIR = path.join(os.homedir(), '.cursor-commander-ports');
 const TEST_WORKSPACE = '/Users/test/Code/my-project';
 const TEST_PORT_KEY = 'Users-test-Code-my-project';
-const TEST_PORT_FILE = path.join(PORTS_DIR, TEST_PORT_KEY);
+const TEST_PORT_FILE = path.join(PORTS_DIR, `${TEST_PORT_KEY}-${process.pid}.json`);
 
 // --- vscode mock ---
 
@@ -23,6 +23,209 @@ function createMockTerminal(name, processId = 1234) {
   };
 }
 
+function createMockEvent() {
+  const listeners = new Set();
+  const event = (listener) => {
+    listeners.add(listener);
+    return { dispose: () => listeners.delete(listener) };
+  };
+  return {
+    event,
+    listeners,
+    fire: (e) => { for (const l of [...listeners]) l(e); },
+  };
+}
+
+// Shell integration whose executions stream `chunks` and then end with
+// `exitCode`. Pass exitCode === null to simulate a command that never ends.
+function createMockShellIntegration(vscodeMock, chunks, exitCode = 0) {
+  return {
+    executeCommand: mock.fn((commandLine) => {
+      const execution = {
+        commandLine: { value: commandLine },
+        read: async function* () {
+          for (const c of chunks) yield c;
+          if (exitCode === null) await new Promise(() => {});
+        },
+      };
+      if (exitCode !== null) {
+        setTimeout(() => vscodeMock.events.endShellExecution.fire({ execution, exitCode }), 10);
+      }
+      return execution;
+    }),
+  };
+}
+
+class MockPosition {
+  constructor(line, character) {
+    this.line = line;
+    this.character = character;
+  }
+  compareTo(other) {
+    return this.line - other.line || this.character - other.character;
+  }
+  isBefore(other) { return this.compareTo(other) < 0; }
+}
+
+class MockRange {
+  constructor(start, end) {
+    this.start = start;
+    this.end = end;
+  }
+}
+
+class MockSelection extends MockRange {
+  constructor(anchor, active) {
+    const [start, end] = anchor.isBefore(active) ? [anchor, active] : [active, anchor];
+    super(start, end);
+    this.anchor = anchor;
+    this.active = active;
+  }
+}
+
+function createMockEditor(document, viewColumn = 1) {
+  const editor = {
+    document,
+    viewColumn,
+    selections: [new MockSelection(new MockPosition(0, 0), new MockPosition(0, 0))],
+    get selection() { return editor.selections[0]; },
+    visibleRanges: [new MockRange(new MockPosition(0, 0), new MockPosition(40, 0))],
+    revealRange: mock.fn(),
+  };
+  return editor;
+}
+
+class MockWorkspaceEdit {
+  constructor() { this.edits = []; }
+  replace(uri, range, text) { this.edits.push({ uri, range, text }); }
+  insert(uri, position, text) { this.edits.push({ uri, range: new MockRange(position, position), text }); }
+  get size() { return this.entries().length; }
+  entries() {
+    const byUri = new Map();
+    for (const e of this.edits) {
+      const key = e.uri.toString();
+      if (!byUri.has(key)) byUri.set(key, [e.uri, []]);
+      byUri.get(key)[1].push({ range: e.range, newText: e.text });
+    }
+    return [...byUri.values()];
+  }
+}
+
+class MockLocation {
+  constructor(uri, rangeOrPosition) {
+    this.uri = uri;
+    this.range = rangeOrPosition instanceof MockRange
+      ? rangeOrPosition
+      : new MockRange(rangeOrPosition, rangeOrPosition);
+  }
+}
+
+let nextBreakpointId = 1;
+
+class MockBreakpoint {
+  constructor(enabled = true, condition, hitCondition, logMessage) {
+    this.id = `bp-${nextBreakpointId++}`;
+    this.enabled = enabled;
+    this.condition = condition;
+    this.hitCondition = hitCondition;
+    this.logMessage = logMessage;
+  }
+}
+
+class MockSourceBreakpoint extends MockBreakpoint {
+  constructor(location, ...rest) {
+    super(...rest);
+    this.location = location;
+  }
+}
+
+class MockFunctionBreakpoint extends MockBreakpoint {
+  constructor(functionName, ...rest) {
+    super(...rest);
+    this.functionName = functionName;
+  }
+}
+
+class MockCancellationTokenSource {
+  constructor() {
+    this.cancelled = createMockEvent();
+    this.token = { isCancellationRequested: false, onCancellationRequested: this.cancelled.event };
+  }
+  cancel() {
+    if (this.token.isCancellationRequested) return;
+    this.token.isCancellationRequested = true;
+    this.cancelled.fire();
+  }
+  dispose() {}
+}
+
+class MockCancellationError extends Error {
+  constructor() {
+    super('Canceled');
+    this.name = 'Canceled';
+  }
+}
+
+class MockTabInputText {
+  constructor(uri) { this.uri = uri; }
+}
+
+class MockTabInputTextDiff {
+  constructor(original, modified) {
+    this.original = original;
+    this.modified = modified;
+  }
+}
+
+class MockTabInputNotebook {
+  constructor(uri, notebookType) {
+    this.uri = uri;
+    this.notebookType = notebookType;
+  }
+}
+
+class MockTabInputWebview {
+  constructor(viewType) { this.viewType = viewType; }
+}
+
+class MockTabInputTerminal {}
+
+function mockUri(fsPath, scheme = 'file') {
+  const uri = scheme === 'file' ? `file://${fsPath}` : `${scheme}:${fsPath}`;
+  return { fsPath, path: fsPath, scheme, toString: () => uri };
+}
+
+function createMockDocument(uri, text, props = {}) {
+  const doc = {
+    uri,
+    fileName: uri.fsPath,
+    version: 1,
+    isDirty: false,
+    isUntitled: uri.scheme === 'untitled',
+    languageId: 'plaintext',
+    eol: 1,
+    text,
+    ...props,
+    get lineCount() { return doc.text.split('\n').length; },
+    getText(range) {
+      if (!range) return doc.text;
+      return doc.text.slice(doc.offsetAt(range.start), doc.offsetAt(range.end));
+    },
+    lineAt(line) { return { text: doc.text.split('\n')[line] }; },
+    offsetAt(pos) {
+      const lines = doc.text.split('\n');
+      let offset = 0;
+      for (let i = 0; i < pos.line; i++) offset += lines[i].length + 1;
+      return offset + pos.character;
+    },
+    positionAt(offset) {
+      const before = doc.text.slice(0, offset).split('\n');
+      return new MockPosition(before.length - 1, before[before.length - 1].length);
+    },
+  };
+  return doc;
+}
+
 function createMockStatusBarItem() {
   return {
     text: '',
@@ -37,29 +240,141 @@ function createMockStatusBarItem() {
 
 function createVscodeMock() {
   const executedCommands = [];
+  const commandResults = {};
   const mockTabs = [];
+  const mockTabGroups = [{ viewColumn: 1, isActive: true, tabs: mockTabs }];
   const mockTerminals = [];
+  const mockDocuments = new Map();
+  const mockDiagnostics = new Map();
+  const mockBreakpoints = [];
+  const mockTasks = [];
+  const mockExtensions = {};
+  const mockContentProviders = {};
+  let nextSessionId = 1;
   let mockActiveTerminal = undefined;
+  let mockActiveTextEditor = undefined;
+  const mockVisibleTextEditors = [];
   let mockCreateTerminal = mock.fn((options) => {
     const t = createMockTerminal(options?.name || 'default');
+    if (options?.pty) {
+      // Like VS Code, route sendText to the pseudoterminal's input
+      t.sendText = mock.fn((text, addNewLine = true) => {
+        options.pty.handleInput(text + (addNewLine ? '\r' : ''));
+      });
+      options.pty.open({ columns: 80, rows: 24 });
+    }
     mockTerminals.push(t);
     return t;
   });
   const mockStatusBarItem = createMockStatusBarItem();
+  const mockOutputChannel = {
+    lines: [],
+    appendLine(line) { this.lines.push(line); },
+    show: mock.fn(),
+    dispose: mock.fn(),
+  };
+  const events = {
+    changeShellIntegration: createMockEvent(),
+    endShellExecution: createMockEvent(),
+    openTerminal: createMockEvent(),
+    changeDiagnostics: createMockEvent(),
+    changeWorkspaceFolders: createMockEvent(),
+    closeTerminal: createMockEvent(),
+    saveDocument: createMockEvent(),
+    changeDocument: createMockEvent(),
+    closeDocument: createMockEvent(),
+    changeActiveEditor: createMockEvent(),
+    changeSelection: createMockEvent(),
+    changeTabs: createMockEvent(),
+    startDebugSession: createMockEvent(),
+    terminateDebugSession: createMockEvent(),
+    endTask: createMockEvent(),
+    endTaskProcess: createMockEvent(),
+  };
+
+  const configuration = {};
 
   return {
+    events,
+    configuration,
     executedCommands,
+    commandResults,
+    mockDocuments,
+    addDocument(path, text, props) {
+      const doc = createMockDocument(mockUri(path), text, props);
+      mockDocuments.set(doc.uri.toString(), doc);
+      return doc;
+    },
     mockTabs,
+    mockTabGroups,
+    addTab(input, props = {}, viewColumn = 1) {
+      let group = mockTabGroups.find((g) => g.viewColumn === viewColumn);
+      if (!group) {
+        group = { viewColumn, isActive: false, tabs: [] };
+        mockTabGroups.push(group);
+      }
+      const tab = {
+        label: input.uri?.path.split('/').pop() ?? 'tab',
+        input,
+        group,
+        isActive: false,
+        isDirty: false,
+        isPinned: false,
+        isPreview: false,
+        ...props,
+      };
+      group.tabs.push(tab);
+      return tab;
+    },
+    mockTasks,
+    mockExtensions,
+    mockContentProviders,
     mockTerminals,
+    setDiagnostics(uri, diagnostics) {
+      mockDiagnostics.set(uri.toString(), [uri, diagnostics]);
+      events.changeDiagnostics.fire({ uris: [uri] });
+    },
     mockStatusBarItem,
+    mockOutputChannel,
     get mockActiveTerminal() { return mockActiveTerminal; },
     set mockActiveTerminal(v) { mockActiveTerminal = v; },
+    get mockActiveTextEditor() { return mockActiveTextEditor; },
+    set mockActiveTextEditor(v) { mockActiveTextEditor = v; },
+    mockVisibleTextEditors,
     mockCreateTerminal,
     StatusBarAlignment: { Left: 1, Right: 2 },
+    EndOfLine: { LF: 1, CRLF: 2 },
+    Position: MockPosition,
+    Range: MockRange,
+    Selection: MockSelection,
+    TextEditorRevealType: { Default: 0, InCenter: 1, InCenterIfOutsideViewport: 2, AtTop: 3 },
+    ViewColumn: { Active: -1, Beside: -2, One: 1, Two: 2, Three: 3 },
+    WorkspaceEdit: MockWorkspaceEdit,
+    Location: MockLocation,
+    SourceBreakpoint: MockSourceBreakpoint,
+    FunctionBreakpoint: MockFunctionBreakpoint,
+    CancellationTokenSource: MockCancellationTokenSource,
+    CancellationError: MockCancellationError,
+    TabInputText: MockTabInputText,
+    TabInputTextDiff: MockTabInputTextDiff,
+    TabInputNotebook: MockTabInputNotebook,
+    TabInputNotebookDiff: class TabInputNotebookDiff {},
+    TabInputCustom: class TabInputCustom {},
+    TabInputWebview: MockTabInputWebview,
+    TabInputTerminal: MockTabInputTerminal,
     ThemeColor: class ThemeColor { constructor(id) { this.id = id; } },
+    EventEmitter: class EventEmitter {
+      constructor() {
+        this.mockEvent = createMockEvent();
+        this.event = this.mockEvent.event;
+      }
+      fire(e) { this.mockEvent.fire(e); }
+      dispose() { this.mockEvent.listeners.clear(); }
+    },
     commands: {
       executeCommand: mock.fn(async (...args) => {
         executedCommands.push(args);
+        return commandResults[args[0]]?.(...args.slice(1));
       }),
       registerCommand: mock.fn((id, cb) => ({ dispose: () => {} })),
     },
@@ -68,22 +383,127 @@ function createVscodeMock() {
       showInformationMessage: mock.fn(async () => {}),
       showWarningMessage: mock.fn(async () => {}),
       createStatusBarItem: mock.fn(() => mockStatusBarItem),
+      createOutputChannel: mock.fn(() => mockOutputChannel),
       tabGroups: {
         get all() {
-          return [{ tabs: mockTabs }];
+          return mockTabGroups;
         },
+        get activeTabGroup() {
+          return mockTabGroups.find((g) => g.isActive);
+        },
+        close: mock.fn(async (tabs) => {
+          for (const tab of [tabs].flat()) tab.group.tabs.splice(tab.group.tabs.indexOf(tab), 1);
+          return true;
+        }),
+        onDidChangeTabs: events.changeTabs.event,
       },
+      get activeTextEditor() { return mockActiveTextEditor; },
+      get visibleTextEditors() { return mockVisibleTextEditors; },
+      showTextDocument: mock.fn(async (document, options) => {
+        const editor = createMockEditor(document, options?.viewColumn ?? 1);
+        mockActiveTextEditor = editor;
+        return editor;
+      }),
       get terminals() { return mockTerminals; },
       get activeTerminal() { return mockActiveTerminal; },
       get createTerminal() { return mockCreateTerminal; },
+      onDidOpenTerminal: events.openTerminal.event,
+      onDidCloseTerminal: events.closeTerminal.event,
+      onDidChangeActiveTextEditor: events.changeActiveEditor.event,
+      onDidChangeTextEditorSelection: events.changeSelection.event,
+      onDidChangeTerminalShellIntegration: events.changeShellIntegration.event,
+      onDidEndTerminalShellExecution: events.endShellExecution.event,
+    },
+    languages: {
+      getDiagnostics: (uri) => {
+        if (uri) return mockDiagnostics.get(uri.toString())?.[1] ?? [];
+        return [...mockDiagnostics.values()];
+      },
+      onDidChangeDiagnostics: events.changeDiagnostics.event,
     },
     workspace: {
+      getConfiguration: (section) => ({
+        get: (key, defaultValue) => configuration[`${section}.${key}`] ?? defaultValue,
+      }),
+      get textDocuments() { return [...mockDocuments.values()]; },
+      asRelativePath: (uri) => uri.fsPath.replace(`${TEST_WORKSPACE}/`, ''),
+      openTextDocument: mock.fn(async (uri) => {
+        const doc = mockDocuments.get(uri.toString());
+        if (!doc) throw new Error(`cannot open ${uri.toString()}`);
+        return doc;
+      }),
+      applyEdit: mock.fn(async (edit) => {
+        const byDoc = new Map();
+        for (const e of edit.edits) {
+          const doc = mockDocuments.get(e.uri.toString());
+          if (!byDoc.has(doc)) byDoc.set(doc, []);
+          byDoc.get(doc).push(e);
+        }
+        for (const [doc, entries] of byDoc) {
+          const spans = entries
+            .map((e) => [doc.offsetAt(e.range.start), doc.offsetAt(e.range.end), e.text])
+            .sort((a, b) => b[0] - a[0]);
+          for (const [start, end, text] of spans) {
+            doc.text = doc.text.slice(0, start) + text + doc.text.slice(end);
+          }
+          doc.version++;
+          doc.isDirty = true;
+        }
+        return true;
+      }),
       workspaceFolders: [
         { uri: { fsPath: TEST_WORKSPACE }, name: 'my-project', index: 0 },
       ],
+      name: 'my-project',
+      onDidChangeWorkspaceFolders: events.changeWorkspaceFolders.event,
+      onDidSaveTextDocument: events.saveDocument.event,
+      onDidChangeTextDocument: events.changeDocument.event,
+      onDidCloseTextDocument: events.closeDocument.event,
+      registerTextDocumentContentProvider: (scheme, provider) => {
+        mockContentProviders[scheme] = provider;
+        return { dispose: () => delete mockContentProviders[scheme] };
+      },
+    },
+    extensions: {
+      getExtension: (id) => mockExtensions[id],
+    },
+    tasks: {
+      fetchTasks: mock.fn(async (filter) => mockTasks.filter((t) => !filter?.type || t.definition.type === filter.type)),
+      // Executions never end unless a test fires endTaskProcess and endTask
+      executeTask: mock.fn(async (task) => ({ task, terminate: mock.fn() })),
+      onDidEndTask: events.endTask.event,
+      onDidEndTaskProcess: events.endTaskProcess.event,
+    },
+    debug: {
+      breakpoints: mockBreakpoints,
+      activeDebugSession: undefined,
+      activeStackItem: undefined,
+      // Starts a session that answers no DAP requests; tests swap in their own
+      startDebugging: mock.fn(async (folder, name) => {
+        const session = {
+          id: `session-${nextSessionId++}`,
+          name,
+          type: 'node',
+          workspaceFolder: folder,
+          customRequest: async () => ({}),
+        };
+        events.startDebugSession.fire(session);
+        return true;
+      }),
+      stopDebugging: mock.fn(async (session) => events.terminateDebugSession.fire(session)),
+      addBreakpoints: mock.fn((breakpoints) => mockBreakpoints.push(...breakpoints)),
+      removeBreakpoints: mock.fn((breakpoints) => {
+        for (const bp of breakpoints) mockBreakpoints.splice(mockBreakpoints.indexOf(bp), 1);
+      }),
+      onDidStartDebugSession: events.startDebugSession.event,
+      onDidTerminateDebugSession: events.terminateDebugSession.event,
     },
     Uri: {
-      file: (p) => ({ fsPath: p, scheme: 'file' }),
+      file: (p) => mockUri(p),
+      parse: (s) => {
+        const [, scheme, rest] = s.match(/^([a-z-]+):(?:\/\/)?(.*)$/);
+        return mockUri(rest, scheme);
+      },
     },
   };
 }
@@ -131,7 +551,10 @@ async function loadExtension(vscodeMock) {
 
 // --- Helper to POST a command to the server ---
 
-function postCommand(port, command, args = {}) {
+// Token from the port file of the currently activated extension
+let authToken;
+
+function postCommand(port, command, args = {}, extraHeaders = {}) {
   return new Promise((resolve, reject) => {
     const body = JSON.stringify({ command, args });
     const req = http.request(
@@ -142,6 +565,8 @@ function postCommand(port, command, args = {}) {
         headers: {
           'Content-Type': 'application/json',
           'Content-Length': Buffer.byteLength(body),
+          Authorization: `Bearer ${authToken}`,
+          ...extraHeaders,
         },
       },
       (res) => {
@@ -161,10 +586,52 @@ function postCommand(port, command, args = {}) {
   });
 }
 
-function httpGet(port) {
+// Sends a command and drops the connection after `afterMs`, like the bridge
+// does when the client cancels the tool call
+function postAndDrop(port, command, args = {}, afterMs = 50) {
+  return new Promise((resolve) => {
+    const body = JSON.stringify({ command, args });
+    const req = http.request({
+      hostname: '127.0.0.1',
+      port,
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(body),
+        Authorization: `Bearer ${authToken}`,
+      },
+    });
+    req.on('error', () => {});
+    req.on('close', resolve);
+    req.end(body);
+    setTimeout(() => req.destroy(), afterMs);
+  });
+}
+
+async function waitFor(predicate, timeout = 2000) {
+  const deadline = Date.now() + timeout;
+  while (!predicate()) {
+    if (Date.now() > deadline) throw new Error('Timed out waiting for condition');
+    await new Promise((r) => setTimeout(r, 10));
+  }
+}
+
+async function waitForOutput(port, id, predicate, timeout = 5000) {
+  const deadline = Date.now() + timeout;
+  for (;;) {
+    const res = await postCommand(port, 'readTerminalOutput', { id, offset: 0 });
+    if (predicate(res.body.result)) return res.body.result;
+    if (Date.now() > deadline) {
+      throw new Error(`Timed out waiting for output: ${JSON.stringify(res.body)}`);
+    }
+    await new Promise((r) => setTimeout(r, 50));
+  }
+}
+
+function httpGet(port, urlPath = '/', headers = {}) {
   return new Promise((resolve, reject) => {
     http
-      .get(`http://127.0.0.1:${port}`, (res) => {
+      .get(`http://127.0.0.1:${port}${urlPath}`, { headers }, (res) => {
         let data = '';
         res.on('data', (chunk) => (data += chunk));
         res.on('end', () => resolve({ status: res.statusCode, body: data }));
@@ -173,6 +640,49 @@ function httpGet(port) {
   });
 }
 
+// Reads server-sent events from /events; next(type) resolves with the next
+// event of that type
+function openEventStream(port) {
+  const events = [];
+  const waiters = [];
+  const flush = () => {
+    for (const waiter of [...waiters]) {
+      const index = events.findIndex((e) => e.type === waiter.type);
+      if (index === -1) continue;
+      waiters.splice(waiters.indexOf(waiter), 1);
+      waiter.resolve(events.splice(index, 1)[0]);
+    }
+  };
+  return new Promise((resolve, reject) => {
+    const req = http.get(
+      `http://127.0.0.1:${port}/events`,
+      { headers: { Authorization: `Bearer ${authToken}` }, agent: false },
+      (res) => {
+        let buffer = '';
+        res.setEncoding('utf-8');
+        res.on('data', (chunk) => {
+          buffer += chunk;
+          let end;
+          while ((end = buffer.indexOf('\n\n')) !== -1) {
+            const data = buffer.slice(0, end).split('\n').find((l) => l.startsWith('data: '));
+            buffer = buffer.slice(end + 2);
+            if (data) events.push(JSON.parse(data.slice(6)));
+          }
+          flush();
+        });
+        resolve({
+          status: res.statusCode,
+          headers: res.headers,
+          events,
+          next: (type) => new Promise((r) => { waiters.push({ type, resolve: r }); flush(); }),
+          close: () => req.destroy(),
+        });
+      },
+    );
+    req.on('error', reject);
+  });
+}
+
 // --- Tests ---
 
 describe('Extension HTTP Server', () => {
@@ -185,14 +695,20 @@ describe('Extension HTTP Server', () => {
     loaded = await loadExtension(vscodeMock);
 
     const subscriptions = [];
-    const context = { subscriptions };
+    const context = {
+      subscriptions,
+      extension: { packageJSON: { version: '0.1.0' } },
+    };
     loaded.ext.activate(context);
 
     // Wait for server to start and port file to be written
-    await new Promise((resolve) => setTimeout(resolve, 200));
-    const portStr = fs.readFileSync(TEST_PORT_FILE, 'utf-8').trim();
-    port = parseInt(portStr, 10);
-    assert.ok(port > 0, `Expected valid port, got ${portStr}`);
+    for (let i = 0; i < 100 && !fs.existsSync(TEST_PORT_FILE); i++) {
+      await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+    const portInfo = JSON.parse(fs.readFileSync(TEST_PORT_FILE, 'utf-8'));
+    port = portInfo.port;
+    authToken = portInfo.token;
+    assert.ok(port > 0, `Expected valid port, got ${portInfo.port}`);
   });
 
   afterEach(async () => {
@@ -201,10 +717,51 @@ describe('Extension HTTP Server', () => {
     await new Promise((resolve) => setTimeout(resolve, 100));
   });
 
-  it('writes a workspace-scoped port file on activation', () => {
+  it('writes a registry entry for the window on activation', () => {
     assert.ok(fs.existsSync(TEST_PORT_FILE));
-    const p = parseInt(fs.readFileSync(TEST_PORT_FILE, 'utf-8').trim(), 10);
-    assert.equal(p, port);
+    const info = JSON.parse(fs.readFileSync(TEST_PORT_FILE, 'utf-8'));
+    assert.equal(info.id, `${TEST_PORT_KEY}-${process.pid}`);
+    assert.equal(info.pid, process.pid);
+    assert.equal(info.port, port);
+    assert.match(info.token, /^[0-9a-f]{64}$/);
+    assert.deepEqual(info.folders, [TEST_WORKSPACE]);
+    assert.equal(info.title, 'my-project');
+    assert.ok(Date.now() - info.heartbeat < 5000);
+    assert.equal(fs.statSync(TEST_PORT_FILE).mode & 0o777, 0o600);
+  });
+
+  it('rewrites the registry entry when workspace folders change', () => {
+    vscodeMock.workspace.workspaceFolders.push({
+      uri: { fsPath: '/Users/test/Code/shared-lib' },
+      name: 'shared-lib',
+      index: 1,
+    });
+    vscodeMock.events.changeWorkspaceFolders.fire({ added: [], removed: [] });
+    const info = JSON.parse(fs.readFileSync(TEST_PORT_FILE, 'utf-8'));
+    assert.deepEqual(info.folders, [TEST_WORKSPACE, '/Users/test/Code/shared-lib']);
+  });
+
+  it('rejects requests without a valid token with 401', async () => {
+    const missing = await postCommand(port, 'saveAll', {}, { Authorization: '' });
+    assert.equal(missing.status, 401);
+    assert.equal(missing.body.success, false);
+
+    const wrong = await postCommand(port, 'saveAll', {}, { Authorization: 'Bearer nope' });
+    assert.equal(wrong.status, 401);
+    assert.equal(vscodeMock.executedCommands.length, 0);
+  });
+
+  it('rejects requests with a foreign Host or Origin with 403', async () => {
+    const host = await postCommand(port, 'saveAll', {}, { Host: `evil.example:${port}` });
+    assert.equal(host.status, 403);
+    assert.match(host.body.error, /Host/);
+
+    const origin = await postCommand(port, 'saveAll', {}, { Origin: 'http://evil.example' });
+    assert.equal(origin.status, 403);
+    assert.match(origin.body.error, /Origin/);
+
+    const localhost = await postCommand(port, 'saveAll', {}, { Host: `localhost:${port}` });
+    assert.equal(localhost.status, 200);
   });
 
   it('rejects non-POST requests with 405', async () => {
@@ -212,6 +769,186 @@ describe('Extension HTTP Server', () => {
     assert.equal(res.status, 405);
   });
 
+  it('answers the handshake with versions and command schemas', async () => {
+    const res = await httpGet(port, '/handshake', { Authorization: `Bearer ${authToken}` });
+    assert.equal(res.status, 200);
+    const { result } = JSON.parse(res.body);
+    assert.equal(result.extensionVersion, '0.1.0');
+    assert.equal(result.protocolVersion, 1);
+    const save = result.commands.find((c) => c.command === 'saveAll');
+    assert.equal(save.tool, 'save_all_files');
+    assert.deepEqual(save.inputSchema, { type: 'object', properties: {} });
+    const edits = result.commands.find((c) => c.command === 'applyTextEdits');
+    assert.equal(edits.tool, 'apply_text_edits');
+    assert.deepEqual(edits.inputSchema.required, ['edits']);
+    assert.ok(!result.commands.some((c) => c.command === 'setAgentStatus'));
+  });
+
+  it('requires the token for the handshake', async () => {
+    const res = await httpGet(port, '/handshake');
+    assert.equal(res.status, 401);
+  });
+
+  it('has a handleCommand case for every command in the handshake', async () => {
+    const res = await httpGet(port, '/handshake', { Authorization: `Bearer ${authToken}` });
+    const { commands } = JSON.parse(res.body).result;
+    const source = fs.readFileSync(
+      path.resolve(import.meta.dirname, '..', 'src', 'extension.ts'),
+      'utf-8',
+    );
+    for (const { command } of commands) {
+      assert.ok(source.includes(`case '${command}':`), `no case for ${command}`);
+    }
+    assert.equal(new Set(commands.map((c) => c.tool)).size, commands.length);
+  });
+  // --- Events ---
+
+  it('streams editor events to /events clients', async () => {
+    const stream = await openEventStream(port);
+    assert.equal(stream.status, 200);
+    assert.equal(stream.headers['content-type'], 'text/event-stream');
+
+    const doc = vscodeMock.addDocument(`${TEST_WORKSPACE}/src/a.ts`, 'let a = 1;\n', { version: 3 });
+    vscodeMock.events.saveDocument.fire(doc);
+    const saved = await stream.next('documentSaved');
+    assert.equal(saved.path, `${TEST_WORKSPACE}/src/a.ts`);
+    assert.equal(saved.version, 3);
+
+    vscodeMock.events.closeDocument.fire(createMockDocument(mockUri('extension-output-1', 'output'), ''));
+    vscodeMock.events.closeDocument.fire(doc);
+    const closed = await stream.next('documentClosed');
+    assert.equal(closed.uri, `file://${TEST_WORKSPACE}/src/a.ts`);
+
+    vscodeMock.events.changeActiveEditor.fire(createMockEditor(doc));
+    assert.equal((await stream.next('activeEditorChanged')).path, `${TEST_WORKSPACE}/src/a.ts`);
+    vscodeMock.events.changeActiveEditor.fire(undefined);
+    assert.equal((await stream.next('activeEditorChanged')).path, null);
+
+    vscodeMock.events.openTerminal.fire({ name: 'dev server' });
+    const opened = await stream.next('terminalOpened');
+    assert.match(opened.id, /^terminal-\d+$/);
+    assert.equal(opened.name, 'dev server');
+
+    vscodeMock.events.startDebugSession.fire({ id: 'session-1', name: 'Launch', type: 'node' });
+    assert.deepEqual(await stream.next('debugSessionStarted'), {
+      type: 'debugSessionStarted',
+      id: 'session-1',
+      name: 'Launch',
+      debugType: 'node',
+    });
+
+    vscodeMock.setDiagnostics(doc.uri, [diagnostic(0, 'Type error')]);
+    const diagnostics = await stream.next('diagnosticsChanged');
+    assert.deepEqual(diagnostics.paths, [`${TEST_WORKSPACE}/src/a.ts`]);
+    stream.close();
+  });
+
+  it('reports a burst of document changes once', async () => {
+    const stream = await openEventStream(port);
+    const doc = vscodeMock.addDocument(`${TEST_WORKSPACE}/src/a.ts`, '');
+    for (let i = 0; i < 3; i++) {
+      doc.version++;
+      vscodeMock.events.changeDocument.fire({ document: doc, contentChanges: [{}] });
+    }
+    const changed = await stream.next('documentChanged');
+    assert.equal(changed.version, doc.version);
+    await new Promise((r) => setTimeout(r, 700));
+    assert.ok(!stream.events.some((e) => e.type === 'documentChanged'));
+    stream.close();
+  });
+
+  it('reports selection and tab changes, throttled', async () => {
+    const stream = await openEventStream(port);
+    const doc = vscodeMock.addDocument(`${TEST_WORKSPACE}/src/a.ts`, 'abc');
+    const editor = createMockEditor(doc);
+    vscodeMock.events.changeSelection.fire({ textEditor: editor, selections: [] });
+    vscodeMock.events.changeSelection.fire({ textEditor: editor, selections: [] });
+    vscodeMock.events.changeTabs.fire({ opened: [], closed: [], changed: [] });
+    assert.equal((await stream.next('selectionChanged')).path, `${TEST_WORKSPACE}/src/a.ts`);
+    await stream.next('tabsChanged');
+    assert.ok(!stream.events.some((e) => e.type === 'selectionChanged'));
+    stream.close();
+  });
+
+  it('requires the token for /events', async () => {
+    const res = await httpGet(port, '/events');
+    assert.equal(res.status, 401);
+  });
+
+
+  // --- Policy ---
+
+  it('refuses execute_command IDs matching deniedCommands', async () => {
+    vscodeMock.configuration['cursorCommander.policy.deniedCommands'] = ['workbench.action.terminal.*'];
+    const res = await postCommand(port, 'executeCommand', { command: 'workbench.action.terminal.sendSequence' });
+    assert.equal(res.status, 403);
+    assert.equal(res.body.refused, true);
+    assert.equal(res.body.reason, 'denied');
+    assert.match(res.body.error, /deniedCommands/);
+    assert.equal(vscodeMock.executedCommands.length, 0);
+  });
+
+  it('refuses execute_command IDs outside allowedCommands', async () => {
+    vscodeMock.configuration['cursorCommander.policy.allowedCommands'] = ['editor.action.*'];
+    const allowed = await postCommand(port, 'executeCommand', { command: 'editor.action.formatDocument' });
+    assert.equal(allowed.status, 200);
+    const refused = await postCommand(port, 'executeCommand', { command: 'workbench.action.reloadWindow' });
+    assert.equal(refused.status, 403);
+    assert.equal(refused.body.reason, 'notAllowed');
+    assert.equal(vscodeMock.executedCommands.length, 1);
+  });
+
+  it('asks before ask-first tools and remembers Allow for session', async () => {
+    vscodeMock.configuration['cursorCommander.policy.askFirst'] = ['save_all_files'];
+    const choices = ['Allow once', 'Allow for session'];
+    vscodeMock.window.showWarningMessage = mock.fn(async () => choices.shift());
+
+    for (let i = 0; i < 3; i++) {
+      const res = await postCommand(port, 'saveAll');
+      assert.equal(res.status, 200);
+    }
+    assert.equal(vscodeMock.window.showWarningMessage.mock.callCount(), 2);
+    const [message, options, ...items] = vscodeMock.window.showWarningMessage.mock.calls[0].arguments;
+    assert.match(message, /save_all_files/);
+    assert.equal(options.modal, true);
+    assert.deepEqual(items, ['Allow once', 'Allow for session', 'Deny']);
+    assert.equal(vscodeMock.executedCommands.length, 3);
+
+    const other = await postCommand(port, 'closeAllEditors');
+    assert.equal(other.status, 200);
+    assert.equal(vscodeMock.window.showWarningMessage.mock.callCount(), 2);
+  });
+
+  it('does not run a call approved after its request was dropped', async () => {
+    vscodeMock.configuration['cursorCommander.policy.askFirst'] = ['save_all_files'];
+    let approve;
+    vscodeMock.window.showWarningMessage = mock.fn(() => new Promise((resolve) => { approve = resolve; }));
+
+    await postAndDrop(port, 'saveAll');
+    await waitFor(() => approve);
+    approve('Allow once');
+
+    const lines = vscodeMock.mockOutputChannel.lines;
+    await waitFor(() => lines.length > 0);
+    assert.match(lines[0], /saveAll \d+ms error: Canceled$/);
+    assert.equal(vscodeMock.executedCommands.length, 0);
+  });
+
+  it('returns a refusal when the user denies or dismisses the prompt', async () => {
+    vscodeMock.configuration['cursorCommander.policy.askFirst'] = ['execute_command'];
+    const choices = ['Deny', undefined];
+    vscodeMock.window.showWarningMessage = mock.fn(async () => choices.shift());
+
+    for (let i = 0; i < 2; i++) {
+      const res = await postCommand(port, 'executeCommand', { command: 'editor.action.formatDocument' });
+      assert.equal(res.status, 403);
+      assert.equal(res.body.reason, 'userDenied');
+    }
+    const { detail } = vscodeMock.window.showWarningMessage.mock.calls[0].arguments[1];
+    assert.match(detail, /editor\.action\.formatDocument/);
+    assert.equal(vscodeMock.executedCommands.length, 0);
+  });
+
   it('handles saveAll command', async () => {
     const res = await postCommand(port, 'saveAll');
     assert.equal(res.status, 200);
@@ -253,22 +990,230 @@ describe('Extension HTTP Server', () => {
     );
   });
 
+  it('opens a file with a selection in another column', async () => {
+    const res = await postCommand(port, 'openFile', {
+      path: '/tmp/test.txt',
+      range: { start: { line: 4, character: 2 }, end: { line: 6, character: 0 } },
+      viewColumn: 'beside',
+      preview: false,
+      preserveFocus: true,
+    });
+    assert.equal(res.status, 200);
+    const [, uri, options] = vscodeMock.executedCommands.at(-1);
+    assert.equal(uri.fsPath, '/tmp/test.txt');
+    assert.equal(options.viewColumn, vscodeMock.ViewColumn.Beside);
+    assert.equal(options.preview, false);
+    assert.equal(options.preserveFocus, true);
+    assert.deepEqual(
+      [options.selection.start.line, options.selection.start.character, options.selection.end.line],
+      [4, 2, 6],
+    );
+
+    const cursor = await postCommand(port, 'openFile', { path: '/tmp/test.txt', position: { line: 9, character: 1 }, viewColumn: 2 });
+    const cursorOptions = vscodeMock.executedCommands.at(-1)[2];
+    assert.equal(cursor.status, 200);
+    assert.equal(cursorOptions.viewColumn, 2);
+    assert.deepEqual(cursorOptions.selection.start, cursorOptions.selection.end);
+    assert.equal(cursorOptions.selection.start.line, 9);
+
+    const bad = await postCommand(port, 'openFile', { path: '/tmp/test.txt', viewColumn: 'left' });
+    assert.equal(bad.status, 500);
+    assert.match(bad.body.error, /Unknown view column "left"/);
+  });
+
+  it('opens a diff between two files', async () => {
+    const res = await postCommand(port, 'openDiff', { path: '/src/old.ts', comparePath: '/src/new.ts' });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.result, 'Opened diff old.ts ↔ new.ts');
+    const [command, left, right, title] = vscodeMock.executedCommands.at(-1);
+    assert.equal(command, 'vscode.diff');
+    assert.deepEqual([left.fsPath, right.fsPath, title], ['/src/old.ts', '/src/new.ts', 'old.ts ↔ new.ts']);
+  });
+
+  it('opens a diff against agent-supplied text', async () => {
+    const res = await postCommand(port, 'openDiff', { path: '/src/a.ts', text: 'const a = 2;\n', title: 'Proposed fix' });
+    assert.equal(res.status, 200);
+    const [, left, right, title] = vscodeMock.executedCommands.at(-1);
+    assert.equal(left.fsPath, '/src/a.ts');
+    assert.equal(right.scheme, 'cursor-commander');
+    assert.match(right.path, /\/a\.ts$/);
+    assert.equal(title, 'Proposed fix');
+    const provider = vscodeMock.mockContentProviders['cursor-commander'];
+    assert.equal(provider.provideTextDocumentContent(right), 'const a = 2;\n');
+
+    const both = await postCommand(port, 'openDiff', { path: '/src/a.ts', text: '', ref: 'HEAD' });
+    assert.equal(both.status, 500);
+    assert.match(both.body.error, /exactly one of comparePath, ref or text/);
+  });
+
   it('handles getOpenFiles command', async () => {
     vscodeMock.mockTabs.push(
-      { input: { uri: { fsPath: '/a.txt' } } },
-      { input: { uri: { fsPath: '/b.txt' } } },
+      { input: { uri: mockUri('/a.txt') } },
+      { input: { uri: mockUri('/b.txt') } },
     );
     const res = await postCommand(port, 'getOpenFiles');
     assert.equal(res.status, 200);
     assert.deepEqual(res.body.result, ['/a.txt', '/b.txt']);
   });
 
+  it('lists untitled buffers in getOpenFiles by URI', async () => {
+    vscodeMock.mockTabs.push(
+      { input: { uri: mockUri('/a.txt') } },
+      { input: { uri: mockUri('Untitled-1', 'untitled') } },
+    );
+    const res = await postCommand(port, 'getOpenFiles');
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.result, ['/a.txt', 'untitled:Untitled-1']);
+  });
+
   it('handles getOpenFiles with empty tabs', async () => {
     const res = await postCommand(port, 'getOpenFiles');
     assert.equal(res.status, 200);
     assert.deepEqual(res.body.result, []);
   });
 
+  // --- Tabs ---
+
+  it('lists tabs by group with their kind and state', async () => {
+    vscodeMock.addTab(new MockTabInputText(mockUri('/src/a.ts')), { isActive: true, isPinned: true });
+    vscodeMock.addTab(new MockTabInputTerminal(), { label: 'bash', isPreview: false });
+    vscodeMock.addTab(
+      new MockTabInputTextDiff(mockUri('/src/a.ts', 'git'), mockUri('/src/a.ts')),
+      { label: 'a.ts (HEAD) ↔ a.ts', isActive: true, isDirty: true },
+      2,
+    );
+    vscodeMock.addTab(new MockTabInputNotebook(mockUri('/nb/x.ipynb'), 'jupyter-notebook'), { isPreview: true }, 2);
+    vscodeMock.addTab(new MockTabInputWebview('markdown.preview'), { label: 'Preview README.md' }, 2);
+
+    const res = await postCommand(port, 'listTabs');
+    assert.equal(res.status, 200);
+    const state = { isActive: false, isDirty: false, isPinned: false, isPreview: false };
+    assert.deepEqual(res.body.result, [
+      {
+        viewColumn: 1,
+        isActive: true,
+        tabs: [
+          { label: 'a.ts', kind: 'text', path: '/src/a.ts', ...state, isActive: true, isPinned: true },
+          { label: 'bash', kind: 'terminal', ...state },
+        ],
+      },
+      {
+        viewColumn: 2,
+        isActive: false,
+        tabs: [
+          {
+            label: 'a.ts (HEAD) ↔ a.ts',
+            kind: 'diff',
+            original: 'git:/src/a.ts',
+            modified: '/src/a.ts',
+            ...state,
+            isActive: true,
+            isDirty: true,
+          },
+          { label: 'x.ipynb', kind: 'notebook', path: '/nb/x.ipynb', notebookType: 'jupyter-notebook', ...state, isPreview: true },
+          { label: 'Preview README.md', kind: 'webview', viewType: 'markdown.preview', ...state },
+        ],
+      },
+    ]);
+  });
+
+  it('refuses to close tabs with unsaved changes unless told what to do', async () => {
+    vscodeMock.addTab(new MockTabInputText(mockUri('/src/a.ts')));
+    vscodeMock.addTab(new MockTabInputText(mockUri('/src/b.ts')), { isDirty: true });
+
+    const res = await postCommand(port, 'closeTabs', { paths: ['/src/a.ts', '/src/b.ts'] });
+    assert.equal(res.status, 500);
+    assert.match(res.body.error, /Unsaved changes in \/src\/b\.ts; nothing was closed/);
+    assert.equal(vscodeMock.window.tabGroups.close.mock.callCount(), 0);
+
+    const skip = await postCommand(port, 'closeTabs', { paths: ['/src/a.ts', '/src/b.ts', '/src/c.ts'], dirty: 'skip' });
+    assert.equal(skip.status, 200);
+    assert.deepEqual(skip.body.result, {
+      closed: ['/src/a.ts'],
+      saved: [],
+      reverted: [],
+      skipped: ['/src/b.ts'],
+      notOpen: ['/src/c.ts'],
+    });
+    assert.deepEqual(vscodeMock.mockTabs.map((t) => t.label), ['b.ts']);
+  });
+
+  it('saves or reverts dirty tabs before closing them', async () => {
+    const doc = vscodeMock.addDocument('/src/a.ts', 'let a = 1;\n', { save: mock.fn(async () => true) });
+    vscodeMock.addTab(new MockTabInputText(doc.uri), { isDirty: true });
+    vscodeMock.addTab(new MockTabInputTextDiff(mockUri('/src/a.ts', 'git'), doc.uri), { isDirty: true }, 2);
+
+    const saved = await postCommand(port, 'closeTabs', { paths: ['/src/a.ts'], dirty: 'save' });
+    assert.equal(saved.status, 200);
+    assert.deepEqual(saved.body.result.saved, ['/src/a.ts']);
+    assert.equal(doc.save.mock.callCount(), 1);
+    assert.deepEqual(vscodeMock.mockTabGroups.map((g) => g.tabs.length), [0, 0]);
+
+    vscodeMock.addTab(new MockTabInputText(mockUri('/src/b.ts')), { isDirty: true }, 2);
+    const reverted = await postCommand(port, 'closeTabs', { paths: ['/src/b.ts'], dirty: 'revert' });
+    assert.equal(reverted.status, 200);
+    assert.deepEqual(reverted.body.result.reverted, ['/src/b.ts']);
+    const [open, revert] = vscodeMock.executedCommands.slice(-2);
+    assert.equal(open[0], 'vscode.open');
+    assert.equal(open[2].viewColumn, 2);
+    assert.deepEqual(revert, ['workbench.action.files.revert']);
+
+    const untitled = vscodeMock.addDocument('Untitled-1', 'draft', { isUntitled: true });
+    vscodeMock.addTab(new MockTabInputText(untitled.uri), { isDirty: true });
+    const unnamed = await postCommand(port, 'closeTabs', { paths: ['Untitled-1'], dirty: 'save' });
+    assert.equal(unnamed.status, 500);
+    assert.match(unnamed.body.error, /never been saved/);
+  });
+
+  it('moves a tab to another group, keeping it pinned', async () => {
+    const tab = vscodeMock.addTab(new MockTabInputText(mockUri('/src/a.ts')), { isPinned: true, isPreview: false });
+    vscodeMock.mockTabGroups[0].isActive = false;
+    vscodeMock.mockTabGroups.push({ viewColumn: 2, isActive: true, tabs: [] });
+
+    const res = await postCommand(port, 'moveTab', { path: '/src/a.ts', toViewColumn: 2 });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.result, 'Moved /src/a.ts to column 2');
+    const [open, pin] = vscodeMock.executedCommands.slice(-2);
+    assert.equal(open[0], 'vscode.open');
+    assert.deepEqual([open[2].viewColumn, open[2].preview, open[2].preserveFocus], [2, false, false]);
+    assert.deepEqual(pin, ['workbench.action.pinEditor']);
+    assert.equal(vscodeMock.window.tabGroups.close.mock.calls[0].arguments[0], tab);
+
+    const same = await postCommand(port, 'moveTab', { path: '/src/b.ts', toViewColumn: 2 });
+    assert.equal(same.status, 500);
+    assert.match(same.body.error, /\/src\/b\.ts is not open/);
+  });
+
+  it('asks which tab to use when a file is open in several groups', async () => {
+    vscodeMock.addTab(new MockTabInputText(mockUri('/src/a.ts')));
+    vscodeMock.addTab(new MockTabInputText(mockUri('/src/a.ts')), {}, 2);
+
+    const res = await postCommand(port, 'pinTab', { path: '/src/a.ts' });
+    assert.equal(res.status, 500);
+    assert.match(res.body.error, /open in 2 tabs \("a\.ts" in column 1, "a\.ts" in column 2\); pass viewColumn/);
+
+    const pinned = await postCommand(port, 'pinTab', { path: '/src/a.ts', viewColumn: 2 });
+    assert.equal(pinned.status, 200);
+    assert.equal(pinned.body.result, 'Pinned /src/a.ts');
+    const [open, pin] = vscodeMock.executedCommands.slice(-2);
+    assert.equal(open[2].viewColumn, 2);
+    assert.deepEqual(pin, ['workbench.action.pinEditor']);
+  });
+
+  it('splits and joins editor groups', async () => {
+    vscodeMock.addTab(new MockTabInputText(mockUri('/src/a.ts')));
+
+    const split = await postCommand(port, 'splitEditor', { path: '/src/a.ts', direction: 'down' });
+    assert.equal(split.status, 200);
+    assert.equal(split.body.result, 'Split /src/a.ts down');
+    assert.deepEqual(vscodeMock.executedCommands.at(-1), ['workbench.action.splitEditorDown']);
+
+    vscodeMock.mockTabGroups.push({ viewColumn: 2, isActive: false, tabs: [] });
+    const joined = await postCommand(port, 'joinEditorGroups');
+    assert.equal(joined.body.result, 'Joined 2 editor groups into one');
+    assert.deepEqual(vscodeMock.executedCommands.at(-1), ['workbench.action.joinAllGroups']);
+  });
+
   it('handles showMessage command', async () => {
     const res = await postCommand(port, 'showMessage', {
       message: 'Hello!',
@@ -309,7 +1254,10 @@ describe('Extension HTTP Server', () => {
           hostname: '127.0.0.1',
           port,
           method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
+          headers: {
+            'Content-Type': 'application/json',
+            Authorization: `Bearer ${authToken}`,
+          },
         },
         (res) => {
           let data = '';
@@ -368,6 +1316,73 @@ describe('Extension HTTP Server', () => {
     assert.equal(callArgs.cwd, '/tmp');
   });
 
+  it('returns a stable id from createTerminal', async () => {
+    const res = await postCommand(port, 'createTerminal', { name: 'dev' });
+    assert.equal(res.status, 200);
+    assert.match(res.body.result.id, /^terminal-\d+$/);
+
+    const list = await postCommand(port, 'listTerminals');
+    assert.equal(list.body.result[0].id, res.body.result.id);
+    assert.equal(list.body.result[0].status, 'open');
+  });
+
+  it('keeps terminal ids stable when other terminals close', async () => {
+    const t1 = createMockTerminal('zsh');
+    const t2 = createMockTerminal('zsh');
+    vscodeMock.mockTerminals.push(t1, t2);
+    const before = await postCommand(port, 'listTerminals');
+    const id2 = before.body.result[1].id;
+    assert.notEqual(before.body.result[0].id, id2);
+
+    vscodeMock.mockTerminals.shift();
+    vscodeMock.events.closeTerminal.fire(t1);
+
+    const res = await postCommand(port, 'sendTerminalText', { id: id2, text: 'ls' });
+    assert.equal(res.status, 200);
+    assert.equal(t2.sendText.mock.calls.length, 1);
+    assert.equal(t1.sendText.mock.calls.length, 0);
+  });
+
+  it('reports closed terminals with their exit status', async () => {
+    const t = createMockTerminal('dev-server');
+    vscodeMock.mockTerminals.push(t);
+    vscodeMock.events.openTerminal.fire(t);
+    const created = await postCommand(port, 'listTerminals');
+    const id = created.body.result[0].id;
+
+    vscodeMock.mockTerminals.pop();
+    t.exitStatus = { code: 1, reason: 2 };
+    vscodeMock.events.closeTerminal.fire(t);
+
+    const res = await postCommand(port, 'listTerminals');
+    assert.equal(res.status, 200);
+    assert.equal(res.body.result.length, 1);
+    const closed = res.body.result[0];
+    assert.equal(closed.id, id);
+    assert.equal(closed.name, 'dev-server');
+    assert.equal(closed.status, 'closed');
+    assert.equal(closed.exitCode, 1);
+    assert.equal(closed.exitReason, 'process');
+
+    const openOnly = await postCommand(port, 'listTerminals', { includeClosed: false });
+    assert.deepEqual(openOnly.body.result, []);
+  });
+
+  it('returns error for terminal ids that have closed or never existed', async () => {
+    const t = createMockTerminal('dev-server');
+    vscodeMock.events.openTerminal.fire(t);
+    t.exitStatus = { code: 137, reason: 2 };
+    vscodeMock.events.closeTerminal.fire(t);
+
+    const closed = await postCommand(port, 'sendTerminalText', { id: 'terminal-1', text: 'ls' });
+    assert.equal(closed.status, 500);
+    assert.match(closed.body.error, /has closed \(exit code 137\)/);
+
+    const unknown = await postCommand(port, 'sendTerminalText', { id: 'terminal-99', text: 'ls' });
+    assert.equal(unknown.status, 500);
+    assert.match(unknown.body.error, /No terminal with id/);
+  });
+
   it('handles sendTerminalText by index', async () => {
     const t = createMockTerminal('zsh');
     vscodeMock.mockTerminals.push(t);
@@ -449,6 +1464,1369 @@ describe('Extension HTTP Server', () => {
     assert.equal(t.dispose.mock.calls.length, 1);
   });
 
+  it('handles runTerminalCommand and returns exit code and output', async () => {
+    const t = createMockTerminal('zsh');
+    t.shellIntegration = createMockShellIntegration(
+      vscodeMock,
+      ['\x1b]633;C\x07', '\x1b[32mok\x1b[0m\r\n', 'done\r\n'],
+      2,
+    );
+    vscodeMock.mockTerminals.push(t);
+
+    const res = await postCommand(port, 'runTerminalCommand', {
+      name: 'zsh',
+      command: 'npm test',
+    });
+    assert.equal(res.status, 200);
+    assert.equal(t.shellIntegration.executeCommand.mock.calls[0].arguments[0], 'npm test');
+    assert.equal(res.body.result.exitCode, 2);
+    assert.equal(res.body.result.timedOut, false);
+    assert.equal(res.body.result.output, 'ok\ndone\n');
+    assert.equal(typeof res.body.result.durationMs, 'number');
+    assert.equal(vscodeMock.events.endShellExecution.listeners.size, 0);
+  });
+
+  it('truncates long runTerminalCommand output with a marker', async () => {
+    const t = createMockTerminal('zsh');
+    t.shellIntegration = createMockShellIntegration(vscodeMock, ['a'.repeat(50), 'tail']);
+    vscodeMock.mockTerminals.push(t);
+    vscodeMock.mockActiveTerminal = t;
+
+    const res = await postCommand(port, 'runTerminalCommand', {
+      command: 'cat big.log',
+      maxOutputChars: 10,
+    });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.result.output, '[... 44 characters truncated ...]\naaaaaatail');
+  });
+
+  it('returns partial output when runTerminalCommand times out', async () => {
+    const t = createMockTerminal('zsh');
+    t.shellIntegration = createMockShellIntegration(vscodeMock, ['starting\n'], null);
+    vscodeMock.mockTerminals.push(t);
+
+    const res = await postCommand(port, 'runTerminalCommand', {
+      index: 0,
+      command: 'npm run dev',
+      timeoutMs: 100,
+    });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.result.timedOut, true);
+    assert.equal(res.body.result.exitCode, null);
+    assert.equal(res.body.result.output, 'starting\n');
+  });
+
+  it('stops reading a command\'s output once runTerminalCommand times out', async () => {
+    let pulls = 0;
+    let closed = false;
+    const t = createMockTerminal('zsh');
+    t.shellIntegration = {
+      executeCommand: mock.fn(() => ({
+        read: async function* () {
+          try {
+            for (;;) {
+              pulls++;
+              yield `line ${pulls}\n`;
+              await new Promise((r) => setTimeout(r, 10));
+            }
+          } finally {
+            closed = true;
+          }
+        },
+      })),
+    };
+    vscodeMock.mockTerminals.push(t);
+
+    const res = await postCommand(port, 'runTerminalCommand', {
+      index: 0,
+      command: 'npm run dev',
+      timeoutMs: 100,
+      maxOutputChars: 20,
+    });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.result.timedOut, true);
+    assert.match(res.body.result.output, /^\[\.\.\. \d+ characters truncated \.\.\.\]\n/);
+    await waitFor(() => closed);
+    const after = pulls;
+    await new Promise((r) => setTimeout(r, 50));
+    assert.equal(pulls, after);
+  });
+
+  it('waits for shell integration to activate before running', async () => {
+    const t = createMockTerminal('zsh');
+    vscodeMock.mockTerminals.push(t);
+    const shellIntegration = createMockShellIntegration(vscodeMock, ['hi\n']);
+    setTimeout(() => {
+      vscodeMock.events.changeShellIntegration.fire({ terminal: t, shellIntegration });
+    }, 50);
+
+    const res = await postCommand(port, 'runTerminalCommand', { index: 0, command: 'echo hi' });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.result.output, 'hi\n');
+  });
+
+  it('returns error for runTerminalCommand without shell integration', async () => {
+    const t = createMockTerminal('plain');
+    vscodeMock.mockTerminals.push(t);
+
+    const res = await postCommand(port, 'runTerminalCommand', { index: 0, command: 'ls' });
+    assert.equal(res.status, 500);
+    assert.match(res.body.error, /Shell integration is not available/);
+  });
+
+  // --- Agent terminals ---
+
+  it('handles createAgentTerminal and reads its output', async () => {
+    const res = await postCommand(port, 'createAgentTerminal', {
+      name: 'build',
+      command: 'echo hello',
+      cwd: os.tmpdir(),
+    });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.result.name, 'build');
+    assert.ok(res.body.result.pid > 0);
+    const ptyOptions = vscodeMock.mockCreateTerminal.mock.calls[0].arguments[0];
+    assert.ok(ptyOptions.pty, 'should create a pseudoterminal');
+
+    const out = await waitForOutput(port, res.body.result.id, (r) => !r.running);
+    assert.equal(out.exitCode, 0);
+    assert.match(out.text, /^hello\n/);
+    assert.match(out.text, /Process exited with code 0/);
+  });
+
+  it('pages through agent terminal output by offset', async () => {
+    const res = await postCommand(port, 'createAgentTerminal', {
+      command: "printf 'abcdef'",
+      cwd: os.tmpdir(),
+    });
+    const id = res.body.result.id;
+    await waitForOutput(port, id, (r) => !r.running);
+
+    const page = await postCommand(port, 'readTerminalOutput', { id, offset: 2, maxChars: 3 });
+    assert.equal(page.status, 200);
+    assert.equal(page.body.result.text, 'cde');
+    assert.equal(page.body.result.offset, 2);
+    assert.equal(page.body.result.nextOffset, 5);
+    assert.ok(page.body.result.totalLength > 6);
+  });
+
+  it('echoes text typed into an agent terminal and sends it on Enter', async () => {
+    const res = await postCommand(port, 'createAgentTerminal', { command: 'cat', cwd: os.tmpdir() });
+    const id = res.body.result.id;
+
+    await postCommand(port, 'sendTerminalText', { id, text: 'ping' });
+    const echoed = await waitForOutput(port, id, (r) => /ping\nping\n/.test(r.text));
+    assert.equal(echoed.running, true);
+
+    const keys = await postCommand(port, 'sendTerminalKeys', { id, keys: ['ctrl-d'] });
+    assert.equal(keys.status, 200);
+    const out = await waitForOutput(port, id, (r) => !r.running);
+    assert.equal(out.exitCode, 0);
+  });
+
+  it('interrupts an agent terminal process with ctrl-c', async () => {
+    // Reports the SIGINT itself, and only says ready once its handler is in place
+    const script = "process.on('SIGINT', () => { console.log('interrupted'); process.exit(130); }); " +
+      "console.log('ready'); setInterval(() => {}, 1000);";
+    const res = await postCommand(port, 'createAgentTerminal', {
+      command: `"${process.execPath}" -e "${script}"`,
+      cwd: os.tmpdir(),
+    });
+    const id = res.body.result.id;
+    await waitForOutput(port, id, (r) => r.text.includes('ready'));
+
+    await postCommand(port, 'sendTerminalKeys', { id, keys: ['ctrl-c'] });
+    const out = await waitForOutput(port, id, (r) => r.text.includes('interrupted') && !r.running);
+    assert.match(out.text, /\^C\ninterrupted/);
+    assert.ok(out.exitSignal === 'SIGINT' || out.exitCode === 130);
+  });
+
+  it('refuses input once the agent terminal process has exited', async () => {
+    const res = await postCommand(port, 'createAgentTerminal', { command: 'true', cwd: os.tmpdir() });
+    const id = res.body.result.id;
+    await waitForOutput(port, id, (r) => !r.running);
+    const pty = vscodeMock.mockCreateTerminal.mock.calls[0].arguments[0].pty;
+
+    // Keystrokes from the user are dropped rather than thrown from the pty callback
+    assert.doesNotThrow(() => pty.handleInput('ls\r\x03\x1a'));
+    const text = await postCommand(port, 'sendTerminalText', { id, text: 'ls' });
+    assert.equal(text.status, 500);
+    assert.match(text.body.error, /has already exited/);
+    const keys = await postCommand(port, 'sendTerminalKeys', { id, keys: ['ctrl-c'] });
+    assert.equal(keys.status, 500);
+    assert.match(keys.body.error, /already exited/);
+  });
+
+  it('returns error for unknown key names', async () => {
+    const res = await postCommand(port, 'createAgentTerminal', { command: 'sleep 30', cwd: os.tmpdir() });
+    const id = res.body.result.id;
+
+    const keys = await postCommand(port, 'sendTerminalKeys', { id, keys: ['hyper-x'] });
+    assert.equal(keys.status, 500);
+    assert.match(keys.body.error, /Unknown key "hyper-x"/);
+    await postCommand(port, 'sendTerminalKeys', { id, signal: 'SIGKILL' });
+  });
+
+  it('handles resizeTerminal for agent terminals', async () => {
+    const res = await postCommand(port, 'createAgentTerminal', { command: 'sleep 30', cwd: os.tmpdir() });
+    const pty = vscodeMock.mockCreateTerminal.mock.calls[0].arguments[0].pty;
+    const fired = [];
+    pty.onDidOverrideDimensions((d) => fired.push(d));
+
+    const resize = await postCommand(port, 'resizeTerminal', {
+      id: res.body.result.id,
+      columns: 120,
+      rows: 40,
+    });
+    assert.equal(resize.status, 200);
+    assert.deepEqual(fired, [{ columns: 120, rows: 40 }]);
+    await postCommand(port, 'sendTerminalKeys', { id: res.body.result.id, signal: 'SIGKILL' });
+  });
+
+  it('returns error when reading output of a regular terminal', async () => {
+    vscodeMock.mockTerminals.push(createMockTerminal('zsh'));
+    const res = await postCommand(port, 'readTerminalOutput', { index: 0 });
+    assert.equal(res.status, 500);
+    assert.match(res.body.error, /not an agent terminal/);
+  });
+
+  // --- Document editing ---
+
+  it('handles readDocument with live buffer state', async () => {
+    vscodeMock.addDocument('/src/a.ts', 'one\ntwo\nthree', {
+      isDirty: true,
+      version: 4,
+      languageId: 'typescript',
+      eol: 2,
+      encoding: 'utf8',
+    });
+    const res = await postCommand(port, 'readDocument', { path: '/src/a.ts' });
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.result, {
+      uri: 'file:///src/a.ts',
+      path: '/src/a.ts',
+      isDirty: true,
+      isUntitled: false,
+      version: 4,
+      languageId: 'typescript',
+      eol: 'CRLF',
+      encoding: 'utf8',
+      lineCount: 3,
+      startLine: 0,
+      endLine: 2,
+      text: 'one\ntwo\nthree',
+    });
+  });
+
+  it('handles readDocument with a line range and line numbers', async () => {
+    const lines = Array.from({ length: 12 }, (_, i) => `line ${i}`).join('\n');
+    vscodeMock.addDocument('/src/a.ts', lines);
+    const res = await postCommand(port, 'readDocument', {
+      path: '/src/a.ts',
+      startLine: 9,
+      endLine: 20,
+      lineNumbers: true,
+    });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.result.startLine, 9);
+    assert.equal(res.body.result.endLine, 11);
+    assert.equal(res.body.result.text, ' 9: line 9\n10: line 10\n11: line 11');
+  });
+
+  it('handles readDocument for untitled buffers', async () => {
+    const doc = createMockDocument(mockUri('Untitled-1', 'untitled'), 'scratch');
+    vscodeMock.mockDocuments.set(doc.uri.toString(), doc);
+    const res = await postCommand(port, 'readDocument', { uri: 'untitled:Untitled-1' });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.result.isUntitled, true);
+    assert.equal(res.body.result.path, 'untitled:Untitled-1');
+    assert.equal(res.body.result.text, 'scratch');
+  });
+
+  // --- Editor state ---
+
+  it('handles getEditorState with no active editor', async () => {
+    const res = await postCommand(port, 'getEditorState');
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.result, { activeEditor: null, visibleEditors: [] });
+  });
+
+  it('handles getEditorState with selections', async () => {
+    const doc = vscodeMock.addDocument('/src/a.ts', 'const a = 1;\nconst b = 2;\n', {
+      languageId: 'typescript',
+    });
+    const editor = createMockEditor(doc, 2);
+    editor.selections = [new MockSelection(new MockPosition(1, 10), new MockPosition(1, 6))];
+    vscodeMock.mockActiveTextEditor = editor;
+    vscodeMock.mockVisibleTextEditors.push(editor);
+
+    const res = await postCommand(port, 'getEditorState');
+    assert.equal(res.status, 200);
+    const state = res.body.result.activeEditor;
+    assert.equal(state.path, '/src/a.ts');
+    assert.equal(state.languageId, 'typescript');
+    assert.equal(state.viewColumn, 2);
+    assert.deepEqual(state.cursor, { line: 1, character: 6 });
+    assert.equal(state.selections[0].text, 'b = ');
+    assert.deepEqual(state.selections[0].start, { line: 1, character: 6 });
+    assert.deepEqual(state.visibleRanges, [
+      { start: { line: 0, character: 0 }, end: { line: 40, character: 0 } },
+    ]);
+    assert.deepEqual(res.body.result.visibleEditors, [
+      { path: '/src/a.ts', viewColumn: 2, isActive: true },
+    ]);
+  });
+
+  it('handles setEditorState by opening a document and revealing the selection', async () => {
+    vscodeMock.addDocument('/src/a.ts', 'a\nb\nc\n');
+    const res = await postCommand(port, 'setEditorState', {
+      path: '/src/a.ts',
+      selections: [{ anchor: { line: 2, character: 0 }, active: { line: 2, character: 1 } }],
+      revealType: 'inCenter',
+    });
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.result.cursor, { line: 2, character: 1 });
+    assert.equal(res.body.result.selections[0].text, 'c');
+    const editor = vscodeMock.mockActiveTextEditor;
+    const [range, revealType] = editor.revealRange.mock.calls[0].arguments;
+    assert.equal(range.start.line, 2);
+    assert.equal(revealType, 1);
+  });
+
+  it('returns error for setEditorState without an editor', async () => {
+    const res = await postCommand(port, 'setEditorState', {
+      reveal: { start: { line: 0, character: 0 }, end: { line: 0, character: 0 } },
+    });
+    assert.equal(res.status, 500);
+    assert.match(res.body.error, /No active editor/);
+  });
+
+  // --- Diagnostics ---
+
+  function diagnostic(line, message, severity = 0, source = 'ts') {
+    return {
+      severity,
+      message,
+      source,
+      code: { value: 2322, target: mockUri('/docs') },
+      range: new MockRange(new MockPosition(line, 0), new MockPosition(line, 5)),
+      relatedInformation: [],
+    };
+  }
+
+  it('handles getDiagnostics with filters', async () => {
+    const a = mockUri(`${TEST_WORKSPACE}/src/a.ts`);
+    const b = mockUri(`${TEST_WORKSPACE}/test/b.ts`);
+    vscodeMock.setDiagnostics(a, [
+      diagnostic(1, 'Type error'),
+      diagnostic(2, 'Unused variable', 1, 'eslint'),
+      diagnostic(3, 'Consider const', 3, 'eslint'),
+    ]);
+    vscodeMock.setDiagnostics(b, [diagnostic(0, 'Other error')]);
+
+    const all = await postCommand(port, 'getDiagnostics');
+    assert.equal(all.status, 200);
+    assert.equal(all.body.result.total, 4);
+
+    const res = await postCommand(port, 'getDiagnostics', {
+      glob: 'src/**/*.ts',
+      severity: 'warning',
+    });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.result.total, 2);
+    assert.equal(res.body.result.files.length, 1);
+    const [first, second] = res.body.result.files[0].diagnostics;
+    assert.equal(res.body.result.files[0].path, `${TEST_WORKSPACE}/src/a.ts`);
+    assert.equal(first.severity, 'error');
+    assert.equal(first.code, 2322);
+    assert.deepEqual(first.range, {
+      start: { line: 1, character: 0 },
+      end: { line: 1, character: 5 },
+    });
+    assert.equal(second.source, 'eslint');
+
+    const bySource = await postCommand(port, 'getDiagnostics', { source: 'eslint', maxResults: 1 });
+    assert.equal(bySource.body.result.total, 2);
+    assert.equal(bySource.body.result.truncated, true);
+    assert.equal(bySource.body.result.files[0].diagnostics.length, 1);
+  });
+
+  it('reports diagnostic deltas since a cursor', async () => {
+    const a = mockUri(`${TEST_WORKSPACE}/src/a.ts`);
+    vscodeMock.setDiagnostics(a, [diagnostic(1, 'Old error')]);
+    const before = await postCommand(port, 'getDiagnostics');
+    const cursor = before.body.result.cursor;
+
+    vscodeMock.setDiagnostics(a, [diagnostic(1, 'Old error'), diagnostic(4, 'Transient')]);
+    vscodeMock.setDiagnostics(a, [diagnostic(7, 'New error')]);
+
+    const res = await postCommand(port, 'getDiagnosticChanges', { since: cursor });
+    assert.equal(res.status, 200);
+    assert.ok(res.body.result.cursor > cursor);
+    assert.equal(res.body.result.files.length, 1);
+    const file = res.body.result.files[0];
+    assert.deepEqual(file.added.map((d) => d.message), ['New error']);
+    assert.deepEqual(file.removed.map((d) => d.message), ['Old error']);
+    assert.equal(file.errors, 1);
+
+    const none = await postCommand(port, 'getDiagnosticChanges', { since: res.body.result.cursor });
+    assert.deepEqual(none.body.result.files, []);
+  });
+
+  it('waits for the next diagnostic change when asked', async () => {
+    const a = mockUri(`${TEST_WORKSPACE}/src/a.ts`);
+    setTimeout(() => vscodeMock.setDiagnostics(a, [diagnostic(2, 'Late error')]), 100);
+
+    const res = await postCommand(port, 'getDiagnosticChanges', { since: 0, waitMs: 3000 });
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.result.files[0].added.map((d) => d.message), ['Late error']);
+  });
+
+  it('keeps waiting through diagnostic changes outside the filter', async () => {
+    const a = mockUri(`${TEST_WORKSPACE}/src/a.ts`);
+    const other = mockUri(`${TEST_WORKSPACE}/docs/readme.md`);
+    setTimeout(() => vscodeMock.setDiagnostics(other, [diagnostic(0, 'Spelling')]), 50);
+    setTimeout(() => vscodeMock.setDiagnostics(a, [diagnostic(1, 'Hint only', 3)]), 100);
+    setTimeout(() => vscodeMock.events.changeDiagnostics.fire({ uris: [a] }), 150);
+    setTimeout(() => vscodeMock.setDiagnostics(a, [diagnostic(1, 'Hint only', 3), diagnostic(2, 'Late error')]), 300);
+
+    const started = Date.now();
+    const res = await postCommand(port, 'getDiagnosticChanges', {
+      since: 0,
+      waitMs: 3000,
+      glob: 'src/**',
+      severity: 'error',
+    });
+    assert.equal(res.status, 200);
+    assert.ok(Date.now() - started >= 250);
+    assert.deepEqual(res.body.result.files.map((f) => f.added.map((d) => d.message)), [['Late error']]);
+  });
+
+  // --- Language intelligence ---
+
+  function range(line, start, end) {
+    return new MockRange(new MockPosition(line, start), new MockPosition(line, end));
+  }
+
+  function documentSymbol(name, kind, line, children = []) {
+    return { name, detail: '', kind, range: range(line, 0, 20), selectionRange: range(line, 6, 6 + name.length), children };
+  }
+
+  it('handles findDefinition with Location and LocationLink results', async () => {
+    vscodeMock.commandResults['vscode.executeDefinitionProvider'] = (uri, position) => {
+      assert.equal(uri.fsPath, '/src/a.ts');
+      assert.deepEqual([position.line, position.character], [3, 7]);
+      return [
+        { uri: mockUri('/src/b.ts'), range: range(10, 2, 8) },
+        { targetUri: mockUri('/src/c.ts'), targetRange: range(1, 0, 30), targetSelectionRange: range(1, 9, 12) },
+      ];
+    };
+    const res = await postCommand(port, 'findDefinition', {
+      path: '/src/a.ts',
+      position: { line: 3, character: 7 },
+    });
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.result, [
+      { path: '/src/b.ts', range: { start: { line: 10, character: 2 }, end: { line: 10, character: 8 } } },
+      { path: '/src/c.ts', range: { start: { line: 1, character: 9 }, end: { line: 1, character: 12 } } },
+    ]);
+  });
+
+  it('resolves a qualified symbol name within a file', async () => {
+    vscodeMock.commandResults['vscode.executeDocumentSymbolProvider'] = () => [
+      documentSymbol('Server', 4, 0, [documentSymbol('listen', 5, 4)]),
+      documentSymbol('listen', 11, 20),
+    ];
+    let target;
+    vscodeMock.commandResults['vscode.executeReferenceProvider'] = (uri, position) => {
+      target = position;
+      return [{ uri, range: range(30, 0, 6) }, { uri, range: range(31, 0, 6) }];
+    };
+    const res = await postCommand(port, 'findReferences', {
+      path: '/src/a.ts',
+      symbol: 'Server.listen',
+      maxResults: 1,
+    });
+    assert.equal(res.status, 200);
+    assert.deepEqual([target.line, target.character], [4, 6]);
+    assert.equal(res.body.result.total, 2);
+    assert.equal(res.body.result.truncated, true);
+    assert.equal(res.body.result.results.length, 1);
+  });
+
+  it('resolves a bare symbol name through workspace symbols', async () => {
+    vscodeMock.commandResults['vscode.executeWorkspaceSymbolProvider'] = (query) => [
+      { name: query, containerName: 'Other', kind: 11, location: { uri: mockUri('/src/x.ts'), range: range(1, 0, 5) } },
+      { name: query, containerName: 'Config', kind: 5, location: { uri: mockUri('/src/y.ts'), range: range(8, 2, 7) } },
+    ];
+    vscodeMock.commandResults['vscode.executeHoverProvider'] = (uri, position) => [
+      {
+        range: range(position.line, 2, 7),
+        contents: [{ value: `**parse** in ${uri.fsPath}` }, { language: 'ts', value: 'parse(): void' }, 'plain'],
+      },
+    ];
+    const res = await postCommand(port, 'getHover', { symbol: 'Config.parse' });
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.result[0].contents, [
+      '**parse** in /src/y.ts',
+      '```ts\nparse(): void\n```',
+      'plain',
+    ]);
+  });
+
+  it('returns error when a symbol cannot be found', async () => {
+    vscodeMock.commandResults['vscode.executeDocumentSymbolProvider'] = () => [];
+    const res = await postCommand(port, 'findDefinition', { path: '/src/a.ts', symbol: 'nope' });
+    assert.equal(res.status, 500);
+    assert.match(res.body.error, /No symbol "nope"/);
+  });
+
+  it('handles getDocumentSymbols with nested symbols', async () => {
+    vscodeMock.commandResults['vscode.executeDocumentSymbolProvider'] = () => [
+      documentSymbol('Server', 4, 0, [documentSymbol('listen', 5, 4)]),
+    ];
+    const res = await postCommand(port, 'getDocumentSymbols', { path: '/src/a.ts' });
+    assert.equal(res.status, 200);
+    assert.deepEqual(
+      res.body.result.map((s) => [s.qualifiedName, s.kind]),
+      [['Server', 'class'], ['Server.listen', 'method']],
+    );
+  });
+
+  it('handles findWorkspaceSymbols', async () => {
+    vscodeMock.commandResults['vscode.executeWorkspaceSymbolProvider'] = () => [
+      { name: 'parse', containerName: '', kind: 11, location: { uri: mockUri('/src/x.ts'), range: range(1, 0, 5) } },
+    ];
+    const res = await postCommand(port, 'findWorkspaceSymbols', { query: 'pars' });
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.result.results, [{
+      name: 'parse',
+      containerName: null,
+      kind: 'function',
+      path: '/src/x.ts',
+      range: { start: { line: 1, character: 0 }, end: { line: 1, character: 5 } },
+    }]);
+  });
+
+  it('handles getCallHierarchy in both directions', async () => {
+    const item = { name: 'run', kind: 11, detail: '', uri: mockUri('/src/a.ts'), range: range(2, 0, 9), selectionRange: range(2, 0, 3) };
+    const caller = { ...item, name: 'main', uri: mockUri('/src/main.ts') };
+    const callee = { ...item, name: 'helper' };
+    vscodeMock.commandResults['vscode.prepareCallHierarchy'] = () => [item];
+    vscodeMock.commandResults['vscode.provideIncomingCalls'] = () => [{ from: caller, fromRanges: [range(5, 2, 5)] }];
+    vscodeMock.commandResults['vscode.provideOutgoingCalls'] = () => [{ to: callee, fromRanges: [range(3, 2, 8)] }];
+
+    const incoming = await postCommand(port, 'getCallHierarchy', {
+      path: '/src/a.ts',
+      position: { line: 2, character: 1 },
+    });
+    assert.equal(incoming.status, 200);
+    assert.equal(incoming.body.result[0].item.name, 'run');
+    assert.equal(incoming.body.result[0].calls[0].name, 'main');
+    assert.equal(incoming.body.result[0].calls[0].path, '/src/main.ts');
+
+    const outgoing = await postCommand(port, 'getCallHierarchy', {
+      path: '/src/a.ts',
+      position: { line: 2, character: 1 },
+      direction: 'outgoing',
+    });
+    assert.equal(outgoing.body.result[0].direction, 'outgoing');
+    assert.equal(outgoing.body.result[0].calls[0].name, 'helper');
+  });
+
+  // --- Refactorings ---
+
+  it('previews renameSymbol and applies it by action id', async () => {
+    const a = vscodeMock.addDocument('/src/a.ts', 'let foo = 1;\nfoo++;\n');
+    const b = vscodeMock.addDocument('/src/b.ts', 'use(foo);\n');
+    vscodeMock.commandResults['vscode.executeDocumentRenameProvider'] = (uri, position, newName) => {
+      const edit = new MockWorkspaceEdit();
+      edit.replace(a.uri, range(0, 4, 7), newName);
+      edit.replace(a.uri, range(1, 0, 3), newName);
+      edit.replace(b.uri, range(0, 4, 7), newName);
+      return edit;
+    };
+
+    const preview = await postCommand(port, 'renameSymbol', {
+      path: '/src/a.ts',
+      position: { line: 0, character: 5 },
+      newName: 'bar',
+    });
+    assert.equal(preview.status, 200);
+    assert.equal(preview.body.result.totalEdits, 3);
+    assert.deepEqual(preview.body.result.files.map((f) => f.path), ['/src/a.ts', '/src/b.ts']);
+    assert.equal(a.text, 'let foo = 1;\nfoo++;\n', 'preview must not edit');
+
+    const applied = await postCommand(port, 'renameSymbol', { actionId: preview.body.result.actionId });
+    assert.equal(applied.status, 200);
+    assert.equal(a.text, 'let bar = 1;\nbar++;\n');
+    assert.equal(b.text, 'use(bar);\n');
+
+    const again = await postCommand(port, 'applyCodeAction', { actionId: preview.body.result.actionId });
+    assert.equal(again.status, 500);
+    assert.match(again.body.error, /No pending action/);
+  });
+
+  it('refuses to apply a previewed edit after the document changed', async () => {
+    const a = vscodeMock.addDocument('/src/a.ts', 'let foo = 1;\n');
+    vscodeMock.commandResults['vscode.executeDocumentRenameProvider'] = (uri, position, newName) => {
+      const edit = new MockWorkspaceEdit();
+      edit.replace(a.uri, range(0, 4, 7), newName);
+      return edit;
+    };
+    const preview = await postCommand(port, 'renameSymbol', {
+      path: '/src/a.ts',
+      position: { line: 0, character: 5 },
+      newName: 'bar',
+    });
+    a.version++;
+
+    const res = await postCommand(port, 'renameSymbol', { actionId: preview.body.result.actionId });
+    assert.equal(res.status, 500);
+    assert.match(res.body.error, /has changed since/);
+    assert.equal(a.text, 'let foo = 1;\n');
+  });
+
+  it('lists code actions with edit summaries and applies one', async () => {
+    const a = vscodeMock.addDocument('/src/a.ts', 'import b;\nimport a;\n');
+    let requested;
+    vscodeMock.commandResults['vscode.executeCodeActionProvider'] = (uri, r, kind) => {
+      requested = { r, kind };
+      const edit = new MockWorkspaceEdit();
+      edit.replace(a.uri, new MockRange(new MockPosition(0, 0), new MockPosition(2, 0)), 'import a;\nimport b;\n');
+      return [
+        { title: 'Organize Imports', kind: { value: 'source.organizeImports' }, edit },
+        { title: 'Disabled fix', kind: { value: 'quickfix' }, disabled: { reason: 'Not here' } },
+        { title: 'Run tool', command: 'tool.run', arguments: [1] },
+      ];
+    };
+
+    const res = await postCommand(port, 'getCodeActions', {
+      path: '/src/a.ts',
+      kind: 'source.organizeImports',
+    });
+    assert.equal(res.status, 200);
+    assert.equal(requested.kind, 'source.organizeImports');
+    assert.deepEqual([requested.r.end.line, requested.r.end.character], [2, 0]);
+    const [organize, disabled, command] = res.body.result;
+    assert.equal(organize.kind, 'source.organizeImports');
+    assert.equal(organize.totalEdits, 1);
+    assert.equal(disabled.actionId, null);
+    assert.equal(disabled.disabled, 'Not here');
+    assert.ok(command.actionId);
+
+    const applied = await postCommand(port, 'applyCodeAction', { actionId: organize.actionId });
+    assert.equal(applied.status, 200);
+    assert.equal(a.text, 'import a;\nimport b;\n');
+
+    await postCommand(port, 'applyCodeAction', { actionId: command.actionId });
+    assert.ok(vscodeMock.executedCommands.some((c) => c[0] === 'tool.run' && c[1] === 1));
+  });
+
+  it('handles applyTextEdits with replacements and inserts', async () => {
+    const doc = vscodeMock.addDocument('/src/a.ts', 'one\ntwo\nthree\n');
+    const res = await postCommand(port, 'applyTextEdits', {
+      path: '/src/a.ts',
+      expectedVersion: 1,
+      edits: [
+        { range: { start: { line: 2, character: 0 }, end: { line: 2, character: 5 } }, text: 'THREE' },
+        { position: { line: 0, character: 0 }, text: '// header\n// more\n' },
+      ],
+    });
+    assert.equal(res.status, 200);
+    assert.equal(doc.text, '// header\n// more\none\ntwo\nTHREE\n');
+    assert.equal(res.body.result.version, 2);
+    assert.deepEqual(res.body.result.changedLines, [
+      { startLine: 0, endLine: 2 },
+      { startLine: 4, endLine: 4 },
+    ]);
+    assert.equal(vscodeMock.workspace.applyEdit.mock.calls.length, 1);
+  });
+
+  it('rejects applyTextEdits when the document version has changed', async () => {
+    const doc = vscodeMock.addDocument('/src/a.ts', 'one\n', { version: 7 });
+    const res = await postCommand(port, 'applyTextEdits', {
+      path: '/src/a.ts',
+      expectedVersion: 6,
+      edits: [{ position: { line: 0, character: 0 }, text: 'x' }],
+    });
+    assert.equal(res.status, 500);
+    assert.match(res.body.error, /version is 7, expected 6/);
+    assert.equal(doc.text, 'one\n');
+  });
+
+  it('rejects overlapping applyTextEdits', async () => {
+    vscodeMock.addDocument('/src/a.ts', 'abcdef');
+    const res = await postCommand(port, 'applyTextEdits', {
+      path: '/src/a.ts',
+      edits: [
+        { range: { start: { line: 0, character: 0 }, end: { line: 0, character: 3 } }, text: 'x' },
+        { range: { start: { line: 0, character: 2 }, end: { line: 0, character: 4 } }, text: 'y' },
+      ],
+    });
+    assert.equal(res.status, 500);
+    assert.match(res.body.error, /overlap/);
+  });
+
+  it('rejects applyTextEdits with an edit that has no range or position', async () => {
+    const doc = vscodeMock.addDocument('/src/a.ts', 'abcdef');
+    const res = await postCommand(port, 'applyTextEdits', {
+      path: '/src/a.ts',
+      edits: [{ position: { line: 0, character: 0 }, text: 'x' }, { text: 'y' }],
+    });
+    assert.equal(res.status, 500);
+    assert.equal(res.body.error, 'Edit 1 needs a range or a position');
+    assert.equal(doc.text, 'abcdef');
+  });
+
+  it('handles replaceInDocument with a literal string', async () => {
+    const doc = vscodeMock.addDocument('/src/a.ts', 'a.b(1);\na.b(2);\n');
+    const res = await postCommand(port, 'replaceInDocument', {
+      path: '/src/a.ts',
+      find: 'a.b(',
+      replace: 'c.d(',
+    });
+    assert.equal(res.status, 200);
+    assert.equal(doc.text, 'c.d(1);\nc.d(2);\n');
+    assert.equal(res.body.result.edits, 2);
+    assert.deepEqual(res.body.result.changedLines, [
+      { startLine: 0, endLine: 0 },
+      { startLine: 1, endLine: 1 },
+    ]);
+  });
+
+  it('handles replaceInDocument with a regex and capture groups', async () => {
+    const doc = vscodeMock.addDocument('/src/a.ts', 'let x = 1;\nlet y = 2;\n');
+    const res = await postCommand(port, 'replaceInDocument', {
+      path: '/src/a.ts',
+      find: '^let (?<name>\\w+) = (\\d+);$',
+      replace: 'const $<name> = $2 * 10; // $$',
+      regex: true,
+    });
+    assert.equal(res.status, 200);
+    assert.equal(doc.text, 'const x = 1 * 10; // $\nconst y = 2 * 10; // $\n');
+  });
+
+  it('refuses replaceInDocument beyond maxMatches', async () => {
+    const doc = vscodeMock.addDocument('/src/a.ts', 'x x x');
+    const res = await postCommand(port, 'replaceInDocument', {
+      path: '/src/a.ts',
+      find: 'x',
+      replace: 'y',
+      maxMatches: 2,
+    });
+    assert.equal(res.status, 500);
+    assert.match(res.body.error, /Found 3 matches/);
+    assert.equal(doc.text, 'x x x');
+  });
+
+  it('returns error for replaceInDocument with no matches', async () => {
+    vscodeMock.addDocument('/src/a.ts', 'abc');
+    const res = await postCommand(port, 'replaceInDocument', {
+      path: '/src/a.ts',
+      find: 'zzz',
+      replace: 'y',
+    });
+    assert.equal(res.status, 500);
+    assert.match(res.body.error, /No matches/);
+  });
+
+  it('returns error for replaceInDocument without find or replace', async () => {
+    const doc = vscodeMock.addDocument('/src/a.ts', 'abc');
+    const noFind = await postCommand(port, 'replaceInDocument', { path: '/src/a.ts', replace: 'y' });
+    assert.equal(noFind.status, 500);
+    assert.equal(noFind.body.error, 'No find text given');
+
+    const noReplace = await postCommand(port, 'replaceInDocument', { path: '/src/a.ts', find: 'b' });
+    assert.equal(noReplace.status, 500);
+    assert.match(noReplace.body.error, /No replace text given/);
+    assert.equal(doc.text, 'abc');
+  });
+
+  // --- Tasks ---
+
+  function task(name, source = 'Workspace', props = {}) {
+    return {
+      name,
+      source,
+      definition: { type: source === 'npm' ? 'npm' : 'shell' },
+      group: { id: 'build' },
+      detail: undefined,
+      scope: { name: 'my-project', uri: { fsPath: TEST_WORKSPACE } },
+      isBackground: false,
+      problemMatchers: ['$tsc'],
+      ...props,
+    };
+  }
+
+  // Ends each execution after `beforeEnd` runs, like a task process exiting
+  function endTasksWith(exitCode, beforeEnd = () => {}) {
+    vscodeMock.tasks.executeTask.mock.mockImplementation(async (t) => {
+      const execution = { task: t, terminate: mock.fn() };
+      setTimeout(() => {
+        beforeEnd();
+        vscodeMock.events.endTaskProcess.fire({ execution, exitCode });
+        vscodeMock.events.endTask.fire({ execution });
+      }, 10);
+      return execution;
+    });
+  }
+
+  it('lists workspace tasks, optionally by type', async () => {
+    vscodeMock.mockTasks.push(task('build'), task('test', 'npm', { group: { id: 'test' }, problemMatchers: [] }));
+
+    const res = await postCommand(port, 'listTasks');
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.result[0], {
+      name: 'build',
+      source: 'Workspace',
+      type: 'shell',
+      group: 'build',
+      detail: null,
+      folder: TEST_WORKSPACE,
+      isBackground: false,
+      problemMatchers: ['$tsc'],
+    });
+
+    const npm = await postCommand(port, 'listTasks', { type: 'npm' });
+    assert.deepEqual(npm.body.result.map((t) => t.name), ['test']);
+  });
+
+  it('runs a task and returns its exit code and problems', async () => {
+    const build = task('build');
+    vscodeMock.mockTasks.push(build, task('build', 'npm'));
+    const doc = vscodeMock.addDocument('/src/a.ts', 'const x: number = "1";');
+    endTasksWith(2, () => vscodeMock.setDiagnostics(doc.uri, [diagnostic(0, 'Type error')]));
+
+    const ambiguous = await postCommand(port, 'runTask', { name: 'build' });
+    assert.equal(ambiguous.status, 500);
+    assert.match(ambiguous.body.error, /2 tasks are named "build" \(sources: Workspace, npm\)/);
+
+    const res = await postCommand(port, 'runTask', { name: 'build', source: 'Workspace' });
+    assert.equal(res.status, 200);
+    assert.equal(vscodeMock.tasks.executeTask.mock.calls[0].arguments[0], build);
+    assert.equal(res.body.result.exitCode, 2);
+    assert.equal(res.body.result.timedOut, false);
+    assert.equal(res.body.result.problems.length, 1);
+    assert.equal(res.body.result.problems[0].path, '/src/a.ts');
+    assert.equal(res.body.result.problems[0].diagnostics[0].message, 'Type error');
+    assert.equal(vscodeMock.events.endTask.listeners.size, 0);
+  });
+
+  it('reports the problems from the task\'s matchers even when they did not change', async () => {
+    vscodeMock.mockTasks.push(task('build'));
+    const a = mockUri('/src/a.ts');
+    vscodeMock.setDiagnostics(a, [diagnostic(0, 'Type error')]);
+    endTasksWith(2, () => {
+      // The same error again from tsc, while a linter and another file change too
+      vscodeMock.setDiagnostics(a, [diagnostic(0, 'Type error'), diagnostic(3, 'Prefer const', 1, 'eslint')]);
+      vscodeMock.setDiagnostics(mockUri('/docs/readme.md'), [diagnostic(1, 'Spelling', 2, 'cSpell')]);
+    });
+
+    const res = await postCommand(port, 'runTask', { name: 'build' });
+    assert.equal(res.status, 200);
+    assert.deepEqual(
+      res.body.result.problems.map((f) => [f.path, f.diagnostics.map((d) => d.message)]),
+      [['/src/a.ts', ['Type error']]],
+    );
+
+    vscodeMock.mockTasks[0].problemMatchers = [];
+    const unmatched = await postCommand(port, 'runTask', { name: 'build' });
+    assert.deepEqual(unmatched.body.result.problems, []);
+  });
+
+  it('leaves a background task running after the timeout', async () => {
+    vscodeMock.mockTasks.push(task('watch', 'Workspace', { isBackground: true }));
+
+    const res = await postCommand(port, 'runTask', { name: 'watch', timeoutMs: 50 });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.result.timedOut, true);
+    assert.equal(res.body.result.exitCode, null);
+    const execution = await vscodeMock.tasks.executeTask.mock.calls[0].result;
+    assert.equal(execution.terminate.mock.callCount(), 0);
+
+    const missing = await postCommand(port, 'runTask', { name: 'deploy' });
+    assert.match(missing.body.error, /No task named "deploy"/);
+  });
+
+  // --- Source control ---
+
+  // A repository at the workspace root, served by a fake Git extension API
+  function gitRepository(state = {}) {
+    const change = (file, status) => ({ uri: mockUri(`${TEST_WORKSPACE}/${file}`), status });
+    const repository = {
+      rootUri: mockUri(TEST_WORKSPACE),
+      inputBox: { value: '' },
+      state: {
+        HEAD: { name: 'main', commit: 'abc123', upstream: { remote: 'origin', name: 'main' }, ahead: 1, behind: 0 },
+        mergeChanges: [],
+        indexChanges: [change('src/a.ts', 0)],
+        workingTreeChanges: [change('src/b.ts', 5), change('notes.txt', 7)],
+        ...state,
+      },
+      add: mock.fn(async () => {}),
+      revert: mock.fn(async () => {}),
+      diffWithHEAD: mock.fn(async (file) => `diff --git a${file} b${file}\n-old\n+new\n`),
+      diffIndexWithHEAD: mock.fn(async (file) => `diff --git a${file} b${file}\n+staged\n`),
+    };
+    const api = {
+      repositories: [repository],
+      getRepository: (uri) => (uri.fsPath.startsWith(TEST_WORKSPACE) ? repository : null),
+      toGitUri: (uri, ref) => ({ ...mockUri(uri.fsPath, 'git'), ref }),
+    };
+    vscodeMock.mockExtensions['vscode.git'] = {
+      isActive: false,
+      activate: mock.fn(async () => ({ enabled: true, getAPI: () => api })),
+    };
+    return repository;
+  }
+
+  it('reports repository status from the Git extension', async () => {
+    gitRepository();
+
+    const res = await postCommand(port, 'getScmStatus');
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.result, {
+      root: TEST_WORKSPACE,
+      branch: 'main',
+      commit: 'abc123',
+      upstream: 'origin/main',
+      ahead: 1,
+      behind: 0,
+      staged: [{ path: `${TEST_WORKSPACE}/src/a.ts`, status: 'indexModified' }],
+      unstaged: [{ path: `${TEST_WORKSPACE}/src/b.ts`, status: 'modified' }],
+      untracked: [`${TEST_WORKSPACE}/notes.txt`],
+      conflicts: [],
+    });
+    assert.equal(vscodeMock.mockExtensions['vscode.git'].activate.mock.callCount(), 1);
+
+    const outside = await postCommand(port, 'getScmStatus', { repository: '/tmp/elsewhere' });
+    assert.equal(outside.status, 500);
+    assert.match(outside.body.error, /not in a Git repository open in this window/);
+  });
+
+  it('stages and unstages files by absolute or root-relative path', async () => {
+    const repository = gitRepository();
+
+    const staged = await postCommand(port, 'stageFiles', { paths: ['src/b.ts', `${TEST_WORKSPACE}/notes.txt`] });
+    assert.equal(staged.status, 200);
+    assert.deepEqual(repository.add.mock.calls[0].arguments[0], [
+      `${TEST_WORKSPACE}/src/b.ts`,
+      `${TEST_WORKSPACE}/notes.txt`,
+    ]);
+    assert.equal(staged.body.result.branch, 'main');
+
+    await postCommand(port, 'unstageFiles', { paths: ['src/a.ts'] });
+    assert.deepEqual(repository.revert.mock.calls[0].arguments[0], [`${TEST_WORKSPACE}/src/a.ts`]);
+
+    const empty = await postCommand(port, 'stageFiles', { paths: [] });
+    assert.equal(empty.status, 500);
+  });
+
+  it('returns a file diff against HEAD, working tree or staged', async () => {
+    const repository = gitRepository();
+
+    const working = await postCommand(port, 'getFileDiff', { path: 'src/b.ts' });
+    assert.match(working.body.result, /\+new/);
+    assert.equal(repository.diffWithHEAD.mock.calls[0].arguments[0], `${TEST_WORKSPACE}/src/b.ts`);
+
+    const staged = await postCommand(port, 'getFileDiff', { path: 'src/a.ts', staged: true, maxChars: 10 });
+    assert.equal(staged.body.result, 'diff --git\n[... 85 characters truncated ...]');
+  });
+
+  it('says a file is untracked instead of returning an empty diff', async () => {
+    const repository = gitRepository();
+
+    const res = await postCommand(port, 'getFileDiff', { path: 'notes.txt' });
+    assert.equal(res.status, 500);
+    assert.match(res.body.error, /notes\.txt is untracked/);
+    assert.equal(repository.diffWithHEAD.mock.callCount(), 0);
+  });
+
+  it('reads and fills in the commit message box', async () => {
+    const repository = gitRepository();
+    repository.inputBox.value = 'wip';
+
+    assert.equal((await postCommand(port, 'getCommitMessage')).body.result, 'wip');
+    const res = await postCommand(port, 'setCommitMessage', { message: 'Fix parser crash on empty input', show: true });
+    assert.equal(res.status, 200);
+    assert.equal(repository.inputBox.value, 'Fix parser crash on empty input');
+    assert.deepEqual(vscodeMock.executedCommands.at(-1), ['workbench.view.scm']);
+  });
+
+  it('opens a diff against the file at a Git ref', async () => {
+    gitRepository();
+
+    const res = await postCommand(port, 'openDiff', { path: `${TEST_WORKSPACE}/src/b.ts`, ref: 'HEAD' });
+    assert.equal(res.status, 200);
+    const [command, left, right, title] = vscodeMock.executedCommands.at(-1);
+    assert.equal(command, 'vscode.diff');
+    assert.deepEqual([left.scheme, left.ref, left.fsPath], ['git', 'HEAD', `${TEST_WORKSPACE}/src/b.ts`]);
+    assert.equal(right.scheme, 'file');
+    assert.equal(title, 'b.ts (HEAD) ↔ b.ts');
+
+    const outside = await postCommand(port, 'openDiff', { path: '/elsewhere/c.ts', ref: 'HEAD' });
+    assert.equal(outside.status, 500);
+    assert.match(outside.body.error, /not in a Git repository/);
+  });
+
+  it('reports when the Git extension is missing', async () => {
+    const res = await postCommand(port, 'getScmStatus');
+    assert.equal(res.status, 500);
+    assert.match(res.body.error, /built-in Git extension is not available/);
+  });
+
+  // --- Debugging ---
+
+  // A stopped Node session whose adapter answers the DAP requests the tools send
+  function stoppedDebugSession() {
+    const requests = [];
+    const responses = {
+      threads: { threads: [{ id: 1, name: 'main' }] },
+      stackTrace: {
+        stackFrames: [
+          { id: 100, name: 'parse', source: { path: '/src/parse.ts' }, line: 12, column: 5 },
+          { id: 101, name: 'main', source: { path: '/src/index.ts' }, line: 3, column: 1 },
+        ],
+        totalFrames: 2,
+      },
+      scopes: {
+        scopes: [
+          { name: 'Local', variablesReference: 10, expensive: false },
+          { name: 'Global', variablesReference: 11, expensive: true },
+        ],
+      },
+      variables: { variables: [{ name: 'count', value: '-1', type: 'number', variablesReference: 0 }] },
+      evaluate: { result: '41', type: 'number', variablesReference: 0 },
+    };
+    const session = {
+      id: 'session-debug',
+      name: 'Launch Program',
+      type: 'node',
+      customRequest: async (command, args) => {
+        requests.push([command, args]);
+        return responses[command];
+      },
+    };
+    vscodeMock.events.startDebugSession.fire(session);
+    vscodeMock.debug.activeDebugSession = session;
+    return { session, requests };
+  }
+
+  it('lists launch configurations and compounds', async () => {
+    vscodeMock.configuration['launch.configurations'] = [
+      { name: 'Launch Program', type: 'node', request: 'launch', program: '${workspaceFolder}/index.js' },
+    ];
+    vscodeMock.configuration['launch.compounds'] = [{ name: 'Full stack', configurations: ['Server', 'Client'] }];
+
+    const res = await postCommand(port, 'listLaunchConfigurations');
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.result, [
+      { name: 'Launch Program', type: 'node', request: 'launch', compound: false, folder: TEST_WORKSPACE },
+      { name: 'Full stack', configurations: ['Server', 'Client'], compound: true, folder: TEST_WORKSPACE },
+    ]);
+  });
+
+  it('starts a debug session by configuration name and stops it', async () => {
+    vscodeMock.configuration['launch.configurations'] = [{ name: 'Launch Program', type: 'node', request: 'launch' }];
+
+    const started = await postCommand(port, 'startDebugging', { name: 'Launch Program' });
+    assert.equal(started.status, 200);
+    const [folder, name, options] = vscodeMock.debug.startDebugging.mock.calls[0].arguments;
+    assert.equal(folder.uri.fsPath, TEST_WORKSPACE);
+    assert.equal(name, 'Launch Program');
+    assert.deepEqual(options, { noDebug: false });
+    const [session] = started.body.result.sessions;
+    assert.equal(session.name, 'Launch Program');
+
+    const listed = await postCommand(port, 'listDebugSessions');
+    assert.deepEqual(listed.body.result.map((s) => s.id), [session.id]);
+
+    const stopped = await postCommand(port, 'stopDebugging', { sessionId: session.id });
+    assert.equal(stopped.status, 200);
+    assert.equal(vscodeMock.debug.stopDebugging.mock.calls[0].arguments[0].id, session.id);
+    assert.deepEqual((await postCommand(port, 'listDebugSessions')).body.result, []);
+
+    const unknown = await postCommand(port, 'startDebugging', { name: 'Nope' });
+    assert.equal(unknown.status, 500);
+    assert.match(unknown.body.error, /No launch configuration or compound named "Nope"/);
+  });
+
+  it('adds, lists and removes breakpoints', async () => {
+    const added = await postCommand(port, 'addBreakpoint', {
+      path: '/src/parse.ts',
+      line: 11,
+      condition: 'count < 0',
+    });
+    assert.equal(added.status, 200);
+    assert.equal(added.body.result.kind, 'source');
+    assert.equal(added.body.result.path, '/src/parse.ts');
+    assert.equal(added.body.result.line, 11);
+    assert.equal(added.body.result.condition, 'count < 0');
+    await postCommand(port, 'addBreakpoint', { path: '/src/parse.ts', line: 20, logMessage: 'count={count}' });
+    await postCommand(port, 'addBreakpoint', { path: '/src/index.ts', line: 2 });
+
+    const listed = await postCommand(port, 'listBreakpoints');
+    assert.deepEqual(listed.body.result.map((b) => [b.path, b.line]), [
+      ['/src/parse.ts', 11],
+      ['/src/parse.ts', 20],
+      ['/src/index.ts', 2],
+    ]);
+
+    const byLine = await postCommand(port, 'removeBreakpoints', { path: '/src/parse.ts', line: 20 });
+    assert.deepEqual(byLine.body.result.removed.map((b) => b.line), [20]);
+    const byId = await postCommand(port, 'removeBreakpoints', { id: added.body.result.id });
+    assert.deepEqual(byId.body.result.removed.map((b) => b.id), [added.body.result.id]);
+    assert.deepEqual((await postCommand(port, 'listBreakpoints')).body.result.map((b) => b.path), ['/src/index.ts']);
+
+    const nothing = await postCommand(port, 'removeBreakpoints', {});
+    assert.equal(nothing.status, 500);
+  });
+
+  it('reads the stopped thread\'s stack, variables and evaluates expressions', async () => {
+    const { requests } = stoppedDebugSession();
+
+    const stack = await postCommand(port, 'getStackTrace');
+    assert.equal(stack.status, 200);
+    assert.equal(stack.body.result.threadId, 1);
+    assert.deepEqual(stack.body.result.frames[0], { id: 100, name: 'parse', path: '/src/parse.ts', line: 11, column: 4 });
+    assert.deepEqual(requests.find(([c]) => c === 'stackTrace')[1], { threadId: 1, startFrame: 0, levels: 20 });
+
+    const scopes = await postCommand(port, 'getVariables');
+    assert.deepEqual(scopes.body.result, [
+      {
+        name: 'Local',
+        variablesReference: 10,
+        expensive: false,
+        variables: [{ name: 'count', value: '-1', type: 'number', variablesReference: 0 }],
+      },
+      { name: 'Global', variablesReference: 11, expensive: true, variables: null },
+    ]);
+    assert.deepEqual(requests.find(([c]) => c === 'scopes')[1], { frameId: 100 });
+
+    const evaluated = await postCommand(port, 'evaluateExpression', { expression: 'count + 42', frameId: 101 });
+    assert.deepEqual(evaluated.body.result, { result: '41', type: 'number', variablesReference: 0 });
+    assert.deepEqual(requests.at(-1), ['evaluate', { expression: 'count + 42', frameId: 101, context: 'repl' }]);
+  });
+
+  it('reports when there is no debug session', async () => {
+    const res = await postCommand(port, 'getStackTrace');
+    assert.equal(res.status, 500);
+    assert.match(res.body.error, /No active debug session; start one with start_debugging/);
+  });
+
+  // --- Batches ---
+
+  it('runs batch steps in order and returns each result', async () => {
+    const res = await postCommand(port, 'runBatch', {
+      steps: [
+        { command: 'open_file', args: { path: '/tmp/a.ts' } },
+        { command: 'executeCommand', args: { command: 'editor.action.formatDocument' } },
+        { command: 'saveAll' },
+      ],
+    });
+    assert.equal(res.status, 200);
+    const { success, failedStep, steps } = res.body.result;
+    assert.equal(success, true);
+    assert.equal(failedStep, null);
+    assert.deepEqual(steps.map((s) => [s.command, s.status]), [
+      ['openFile', 'ok'],
+      ['executeCommand', 'ok'],
+      ['saveAll', 'ok'],
+    ]);
+    assert.equal(steps[0].result, 'Opened /tmp/a.ts');
+    assert.deepEqual(vscodeMock.executedCommands.map((c) => c[0]), [
+      'vscode.open',
+      'editor.action.formatDocument',
+      'workbench.action.files.saveAll',
+    ]);
+    // The batch and each of its steps are in the activity log
+    assert.equal(vscodeMock.mockOutputChannel.lines.length, 4);
+  });
+
+  it('skips the steps after a failure with stopOnError', async () => {
+    const res = await postCommand(port, 'runBatch', {
+      steps: [
+        { command: 'saveAll' },
+        { command: 'showTerminal', args: { name: 'nope' } },
+        { command: 'closeAllEditors' },
+      ],
+    });
+    const { success, failedStep, steps } = res.body.result;
+    assert.equal(success, false);
+    assert.equal(failedStep, 1);
+    assert.equal(steps[1].status, 'error');
+    assert.match(steps[1].error, /nope/);
+    assert.deepEqual(steps[2], { index: 2, command: 'closeAllEditors', status: 'skipped' });
+    assert.equal(vscodeMock.executedCommands.length, 1);
+  });
+
+  it('keeps going after a failure with continueOnError', async () => {
+    const res = await postCommand(port, 'runBatch', {
+      mode: 'continueOnError',
+      steps: [
+        { command: 'no_such_tool' },
+        { command: 'runBatch', args: { steps: [] } },
+        { command: 'closeAllEditors' },
+      ],
+    });
+    const { failedStep, steps } = res.body.result;
+    assert.equal(failedStep, 0);
+    assert.match(steps[0].error, /Unknown command: no_such_tool/);
+    assert.match(steps[1].error, /cannot be nested/);
+    assert.equal(steps[2].status, 'ok');
+  });
+
+  it('applies the policy to each batch step', async () => {
+    vscodeMock.configuration['cursorCommander.policy.deniedCommands'] = ['workbench.action.reloadWindow'];
+    const res = await postCommand(port, 'runBatch', {
+      steps: [
+        { command: 'execute_command', args: { command: 'workbench.action.reloadWindow' } },
+        { command: 'saveAll' },
+      ],
+    });
+    const { steps } = res.body.result;
+    assert.equal(steps[0].status, 'refused');
+    assert.equal(steps[0].reason, 'denied');
+    assert.equal(steps[1].status, 'skipped');
+    assert.equal(vscodeMock.executedCommands.length, 0);
+  });
+
+  it('returns error for a batch without steps', async () => {
+    const res = await postCommand(port, 'runBatch', { steps: [] });
+    assert.equal(res.status, 500);
+    assert.match(res.body.error, /non-empty array/);
+  });
+
+  it('names a batch step that is not an object', async () => {
+    const res = await postCommand(port, 'runBatch', { steps: [{ command: 'save_all_files' }, null] });
+    assert.equal(res.status, 500);
+    assert.equal(res.body.error, 'Step 1 must be an object with a command and args');
+    assert.equal(vscodeMock.executedCommands.length, 0);
+  });
+
+  // --- Activity log ---
+
+  it('logs each request to the output channel with its session', async () => {
+    const headers = {
+      'X-Cursor-Commander-Session': '4242',
+      'X-Cursor-Commander-Client': 'test-agent 1.0',
+    };
+    await postCommand(port, 'saveAll', {}, headers);
+    await postCommand(port, 'setAgentStatus', { status: 'idle' }, headers);
+    await postCommand(port, 'showTerminal', { name: 'nope' }, headers);
+    await postCommand(port, 'saveAll', {}, { Authorization: 'Bearer wrong' });
+
+    const lines = vscodeMock.mockOutputChannel.lines;
+    assert.equal(lines.length, 3);
+    assert.match(lines[0], /^\[\S+\] test-agent 1\.0 saveAll \d+ms ok$/);
+    assert.match(lines[1], /test-agent 1\.0 showTerminal \{"name":"nope"\} \d+ms error: .*nope/);
+    assert.match(lines[2], /unknown session \(rejected\) 0ms error: Missing or invalid token/);
+  });
+
+  it('appends redacted JSON lines to the configured log file', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cc-activity-'));
+    const file = path.join(dir, 'activity.jsonl');
+    vscodeMock.configuration['cursorCommander.activityLog.file'] = file;
+    try {
+      await postCommand(port, 'createTerminal', { name: 'dev', env: { API_KEY: 'hunter2' } }, {
+        'X-Cursor-Commander-Session': '4242',
+      });
+      await postCommand(port, 'sendTerminalText', { text: 'x'.repeat(500), token: 'abc' });
+      await new Promise((r) => setTimeout(r, 50));
+
+      const records = fs.readFileSync(file, 'utf-8').trim().split('\n').map((l) => JSON.parse(l));
+      assert.equal(records.length, 2);
+      assert.equal(records[0].command, 'createTerminal');
+      assert.equal(records[0].session, '4242');
+      assert.equal(records[0].success, true);
+      assert.deepEqual(records[0].args, { name: 'dev', env: { API_KEY: '[redacted]' } });
+      assert.ok(!Number.isNaN(Date.parse(records[0].timestamp)));
+      assert.equal(typeof records[0].durationMs, 'number');
+
+      assert.equal(records[1].success, false);
+      assert.equal(records[1].session, null);
+      assert.equal(records[1].args.token, '[redacted]');
+      assert.match(records[1].args.text, /^x{200}\.\.\. \(500 characters\)$/);
+      assert.ok(records[1].error);
+      assert.equal(fs.statSync(file).mode & 0o777, 0o600);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('writes log file records in the order requests finished', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cc-activity-'));
+    const file = path.join(dir, 'activity.jsonl');
+    vscodeMock.configuration['cursorCommander.activityLog.file'] = file;
+    try {
+      await Promise.all(Array.from({ length: 30 }, (_, i) => postCommand(port, 'showMessage', { message: `m${i}` })));
+      for (let i = 0; i < 40 && !(fs.existsSync(file) && fs.readFileSync(file, 'utf-8').split('\n').length > 30); i++) {
+        await new Promise((r) => setTimeout(r, 50));
+      }
+
+      const logged = fs.readFileSync(file, 'utf-8').trim().split('\n').map((l) => JSON.parse(l).args.message);
+      const finished = vscodeMock.mockOutputChannel.lines.map((l) => l.match(/"message":"(m\d+)"/)[1]);
+      assert.deepEqual(logged, finished);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  // --- Cancellation ---
+
+  it('stops waiting for a provider when the request is dropped', async () => {
+    vscodeMock.commandResults['vscode.executeReferenceProvider'] = () => new Promise(() => {});
+    await postAndDrop(port, 'findReferences', { path: '/src/a.ts', position: { line: 1, character: 2 } });
+
+    const lines = vscodeMock.mockOutputChannel.lines;
+    await waitFor(() => lines.length > 0);
+    assert.match(lines[0], /findReferences .* error: Canceled$/);
+  });
+
+  it('interrupts a terminal command when the request is dropped', async () => {
+    const t = createMockTerminal('zsh');
+    t.shellIntegration = createMockShellIntegration(vscodeMock, ['watching\n'], null);
+    vscodeMock.mockTerminals.push(t);
+
+    await postAndDrop(port, 'runTerminalCommand', { index: 0, command: 'npm run watch' });
+    await waitFor(() => t.sendText.mock.callCount() > 0);
+    assert.deepEqual(t.sendText.mock.calls[0].arguments, ['\x03', false]);
+    assert.equal(vscodeMock.events.endShellExecution.listeners.size, 0);
+  });
+
+  it('terminates a task when the request is dropped', async () => {
+    vscodeMock.mockTasks.push({ name: 'test', source: 'npm', definition: { type: 'npm' }, scope: 2 });
+    await postAndDrop(port, 'runTask', { name: 'test' });
+
+    const execution = await vscodeMock.tasks.executeTask.mock.calls[0].result;
+    await waitFor(() => execution.terminate.mock.callCount() > 0);
+    assert.equal(vscodeMock.events.endTaskProcess.listeners.size, 0);
+  });
+
+  it('skips the rest of a batch when the request is dropped', async () => {
+    vscodeMock.commandResults['vscode.executeHoverProvider'] = () => new Promise(() => {});
+    await postAndDrop(port, 'runBatch', {
+      steps: [
+        { command: 'get_hover', args: { path: '/src/a.ts', position: { line: 0, character: 0 } } },
+        { command: 'save_all_files' },
+      ],
+    });
+
+    const lines = vscodeMock.mockOutputChannel.lines;
+    await waitFor(() => lines.some((l) => / runBatch /.test(l)));
+    assert.ok(!vscodeMock.executedCommands.some((c) => c[0] === 'workbench.action.files.saveAll'));
+    assert.match(lines.find((l) => / getHover /.test(l)), /error: Canceled$/);
+    assert.match(lines.find((l) => / runBatch /.test(l)), /error: Canceled$/);
+  });
+
+  it('registers a command that shows the activity log', () => {
+    const [, show] = vscodeMock.commands.registerCommand.mock.calls
+      .find((c) => c.arguments[0] === 'cursorCommander.showActivityLog').arguments;
+    show();
+    assert.equal(vscodeMock.mockOutputChannel.show.mock.callCount(), 1);
+  });
+
   // --- Agent status ---
 
   it('handles setAgentStatus thinking', async () => {
@@ -5,6 +5,9 @@ import fs from 'node:fs';
 import path from 'node:path';
 import os from 'node:os';
 import { spawn } from 'node:child_process';
+import { createRequire } from 'node:module';
+
+const { COMMANDS } = createRequire(import.meta.url)('../out/commands.js');
 
 const PORTS_DIR = path.join(os.homedir(), '.cursor-commander-ports');
 const BRIDGE_PATH = path.resolve(
@@ -21,15 +24,81 @@ function portFileForCwd(cwd) {
   return path.join(PORTS_DIR, sanitizeWorkspacePath(cwd));
 }
 
+function registryFile(id) {
+  return path.join(PORTS_DIR, `${id}.json`);
+}
+
+function writeRegistryEntry(id, entry) {
+  fs.writeFileSync(
+    registryFile(id),
+    JSON.stringify({
+      id,
+      pid: process.pid,
+      token: TEST_TOKEN,
+      title: null,
+      startedAt: Date.now(),
+      heartbeat: Date.now(),
+      ...entry,
+    }),
+  );
+}
+
+const TEST_TOKEN = 'test-token';
+const TEST_WINDOW_ID = `${sanitizeWorkspacePath(process.cwd())}-test`;
+
 // Fake HTTP server that mimics the extension
-function createFakeExtension() {
+function createFakeExtension({ protocolVersion = 1, commands = COMMANDS, handshake = true } = {}) {
   const received = [];
+  const dropped = [];
+  const eventStreams = [];
   const server = http.createServer((req, res) => {
+    if (req.method === 'GET' && req.url === '/events') {
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      res.write(': connected\n\n');
+      eventStreams.push(res);
+      return;
+    }
+    if (req.method === 'GET') {
+      if (!handshake || req.url !== '/handshake') {
+        res.writeHead(405);
+        res.end();
+        return;
+      }
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(
+        JSON.stringify({
+          success: true,
+          result: { extensionVersion: '0.1.0', protocolVersion, commands },
+        }),
+      );
+      return;
+    }
     let body = '';
     req.on('data', (chunk) => (body += chunk));
     req.on('end', () => {
       const parsed = JSON.parse(body);
+      parsed.authorization = req.headers.authorization;
+      parsed.session = req.headers['x-cursor-commander-session'];
+      parsed.client = req.headers['x-cursor-commander-client'];
       received.push(parsed);
+      res.on('close', () => {
+        if (!res.writableFinished) dropped.push(parsed.command);
+      });
+      // Never answers, like a window stuck in a modal dialog
+      if (parsed.command === 'hang') return;
+
+      if (parsed.command === 'executeCommand' && parsed.args.command === 'workbench.action.reloadWindow') {
+        res.writeHead(403, { 'Content-Type': 'application/json' });
+        res.end(
+          JSON.stringify({
+            success: false,
+            refused: true,
+            reason: 'denied',
+            error: 'Command "workbench.action.reloadWindow" is denied by the cursorCommander.policy.deniedCommands setting',
+          }),
+        );
+        return;
+      }
 
       let result;
       switch (parsed.command) {
@@ -42,6 +111,12 @@ function createFakeExtension() {
         case 'getOpenFiles':
           result = ['/a.txt', '/b.txt'];
           break;
+        case 'readDocument':
+          result = { uri: parsed.args.uri, text: `contents of ${parsed.args.uri}` };
+          break;
+        case 'getDiagnostics':
+          result = { cursor: 0, total: 0, truncated: false, files: [] };
+          break;
         case 'openFile':
           result = `Opened ${parsed.args.path}`;
           break;
@@ -50,12 +125,12 @@ function createFakeExtension() {
           break;
         case 'listTerminals':
           result = [
-            { index: 0, name: 'zsh', isActive: true, processId: 111 },
-            { index: 1, name: 'node', isActive: false, processId: 222 },
+            { id: 'terminal-1', index: 0, name: 'zsh', status: 'open', isActive: true, processId: 111 },
+            { id: 'terminal-2', index: 1, name: 'node', status: 'open', isActive: false, processId: 222 },
           ];
           break;
         case 'createTerminal':
-          result = { name: parsed.args.name || 'default', index: 0 };
+          result = { id: 'terminal-3', name: parsed.args.name || 'default', index: 0 };
           break;
         case 'sendTerminalText':
           result = `Sent text to terminal "zsh"`;
@@ -84,7 +159,12 @@ function createFakeExtension() {
     });
   });
 
-  return { server, received };
+  const pushEvent = (event) => {
+    for (const res of eventStreams) {
+      res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+    }
+  };
+  return { server, received, dropped, eventStreams, pushEvent };
 }
 
 function sendMcpRequest(child, id, method, params = {}) {
@@ -153,6 +233,48 @@ function waitForResponse(child, id, timeout = 5000) {
   });
 }
 
+function waitForNotification(child, method, timeout = 5000) {
+  return new Promise((resolve, reject) => {
+    let buffer = '';
+    const timer = setTimeout(
+      () => reject(new Error(`Timeout waiting for ${method}`)),
+      timeout,
+    );
+    const onData = (chunk) => {
+      buffer += chunk.toString();
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      for (const line of lines) {
+        if (!line.trim()) continue;
+        const msg = JSON.parse(line);
+        if (msg.method === method) {
+          clearTimeout(timer);
+          child.stdout.off('data', onData);
+          resolve(msg);
+          return;
+        }
+      }
+    };
+    child.stdout.on('data', onData);
+  });
+}
+
+async function initializeBridge(child) {
+  sendMcpRequest(child, 1, 'initialize', {
+    protocolVersion: '2024-11-05',
+    capabilities: {},
+    clientInfo: { name: 'test', version: '0.0.1' },
+  });
+  await waitForResponse(child, 1);
+  child.stdin.write(
+    JSON.stringify({
+      jsonrpc: '2.0',
+      method: 'notifications/initialized',
+    }) + '\n',
+  );
+  await new Promise((r) => setTimeout(r, 200));
+}
+
 describe('MCP Bridge', () => {
   let fakeExt;
   let fakePort;
@@ -164,7 +286,11 @@ describe('MCP Bridge', () => {
       fakeExt.server.listen(0, '127.0.0.1', () => {
         fakePort = fakeExt.server.address().port;
         fs.mkdirSync(PORTS_DIR, { recursive: true });
-        fs.writeFileSync(portFileForCwd(process.cwd()), String(fakePort));
+        writeRegistryEntry(TEST_WINDOW_ID, {
+          port: fakePort,
+          folders: [process.cwd()],
+          title: 'tree',
+        });
         resolve();
       });
     });
@@ -176,12 +302,15 @@ describe('MCP Bridge', () => {
       await new Promise((resolve) => child.on('close', resolve));
     }
     fakeExt.server.close();
+    try {
+      fs.unlinkSync(registryFile(TEST_WINDOW_ID));
+    } catch {}
     try {
       fs.unlinkSync(portFileForCwd(process.cwd()));
     } catch {}
   });
 
-  it('responds to tools/list with all 12 tools', async () => {
+  it('responds to tools/list with all tools', async () => {
     child = spawn('node', [BRIDGE_PATH], {
       stdio: ['pipe', 'pipe', 'pipe'],
     });
@@ -210,18 +339,67 @@ describe('MCP Bridge', () => {
     assert.ok(resp.result, 'tools/list should return result');
     const toolNames = resp.result.tools.map((t) => t.name).sort();
     assert.deepEqual(toolNames, [
+      'add_breakpoint',
+      'apply_code_action',
+      'apply_text_edits',
       'close_active_editor',
       'close_all_editors',
+      'close_tabs',
       'close_terminal',
+      'create_agent_terminal',
       'create_terminal',
+      'evaluate_expression',
       'execute_command',
+      'find_definition',
+      'find_references',
+      'find_workspace_symbols',
+      'get_call_hierarchy',
+      'get_code_actions',
+      'get_commit_message',
+      'get_diagnostic_changes',
+      'get_diagnostics',
+      'get_document_symbols',
+      'get_editor_state',
+      'get_file_diff',
+      'get_hover',
       'get_open_files',
+      'get_scm_status',
+      'get_stack_trace',
+      'get_variables',
+      'join_editor_groups',
+      'list_breakpoints',
+      'list_debug_sessions',
+      'list_launch_configurations',
+      'list_tabs',
+      'list_tasks',
       'list_terminals',
+      'list_windows',
+      'move_tab',
+      'open_diff',
       'open_file',
+      'pin_tab',
+      'read_document',
+      'read_terminal_output',
+      'remove_breakpoints',
+      'rename_symbol',
+      'replace_in_document',
+      'resize_terminal',
+      'run_batch',
+      'run_task',
+      'run_terminal_command',
       'save_all_files',
+      'select_window',
+      'send_terminal_keys',
       'send_terminal_text',
+      'set_commit_message',
+      'set_editor_state',
       'show_message',
       'show_terminal',
+      'split_editor',
+      'stage_files',
+      'start_debugging',
+      'stop_debugging',
+      'unstage_files',
     ]);
   });
 
@@ -253,6 +431,554 @@ describe('MCP Bridge', () => {
     assert.equal(resp.result.content[0].text, 'All files saved');
     const saveCmd = fakeExt.received.find((r) => r.command === 'saveAll');
     assert.ok(saveCmd, 'should have sent saveAll command');
+    assert.equal(saveCmd.authorization, `Bearer ${TEST_TOKEN}`);
+    assert.equal(saveCmd.session, String(child.pid));
+    assert.equal(saveCmd.client, 'test 0.0.1');
+    assert.equal(
+      resp.result.content[1].text,
+      `Handled by window ${TEST_WINDOW_ID} (tree)`,
+    );
+  });
+
+  it('still reads legacy port files that hold a bare port', async () => {
+    fs.unlinkSync(registryFile(TEST_WINDOW_ID));
+    fs.writeFileSync(portFileForCwd(process.cwd()), String(fakePort));
+    child = spawn('node', [BRIDGE_PATH], {
+      stdio: ['pipe', 'pipe', 'pipe'],
+    });
+
+    sendMcpRequest(child, 1, 'initialize', {
+      protocolVersion: '2024-11-05',
+      capabilities: {},
+      clientInfo: { name: 'test', version: '0.0.1' },
+    });
+    await waitForResponse(child, 1);
+    child.stdin.write(
+      JSON.stringify({
+        jsonrpc: '2.0',
+        method: 'notifications/initialized',
+      }) + '\n',
+    );
+    await new Promise((r) => setTimeout(r, 200));
+
+    sendMcpRequest(child, 2, 'tools/call', {
+      name: 'save_all_files',
+      arguments: {},
+    });
+    const resp = await waitForResponse(child, 2);
+    assert.equal(resp.result.content[0].text, 'All files saved');
+    const saveCmd = fakeExt.received.find((r) => r.command === 'saveAll');
+    assert.equal(saveCmd.authorization, undefined);
+  });
+
+  it('picks the window whose folder most closely contains the working directory', async () => {
+    const outer = createFakeExtension();
+    await new Promise((resolve) => outer.server.listen(0, '127.0.0.1', resolve));
+    writeRegistryEntry('outer-test', {
+      port: outer.server.address().port,
+      folders: [path.dirname(process.cwd())],
+    });
+    child = spawn('node', [BRIDGE_PATH], {
+      cwd: path.join(process.cwd(), 'test'),
+      stdio: ['pipe', 'pipe', 'pipe'],
+    });
+
+    try {
+      sendMcpRequest(child, 1, 'initialize', {
+        protocolVersion: '2024-11-05',
+        capabilities: {},
+        clientInfo: { name: 'test', version: '0.0.1' },
+      });
+      await waitForResponse(child, 1);
+      child.stdin.write(
+        JSON.stringify({
+          jsonrpc: '2.0',
+          method: 'notifications/initialized',
+        }) + '\n',
+      );
+      await new Promise((r) => setTimeout(r, 200));
+
+      sendMcpRequest(child, 2, 'tools/call', {
+        name: 'save_all_files',
+        arguments: {},
+      });
+      const resp = await waitForResponse(child, 2);
+      assert.equal(resp.result.content[0].text, 'All files saved');
+      assert.ok(fakeExt.received.some((r) => r.command === 'saveAll'));
+      assert.ok(!outer.received.some((r) => r.command === 'saveAll'));
+    } finally {
+      outer.server.close();
+      fs.unlinkSync(registryFile('outer-test'));
+    }
+  });
+
+  it('lists windows, pruning entries whose process has exited', async () => {
+    writeRegistryEntry('dead-test', {
+      pid: 99999999,
+      port: 1,
+      folders: [process.cwd()],
+    });
+    child = spawn('node', [BRIDGE_PATH], {
+      stdio: ['pipe', 'pipe', 'pipe'],
+    });
+
+    sendMcpRequest(child, 1, 'initialize', {
+      protocolVersion: '2024-11-05',
+      capabilities: {},
+      clientInfo: { name: 'test', version: '0.0.1' },
+    });
+    await waitForResponse(child, 1);
+    child.stdin.write(
+      JSON.stringify({
+        jsonrpc: '2.0',
+        method: 'notifications/initialized',
+      }) + '\n',
+    );
+    await new Promise((r) => setTimeout(r, 200));
+
+    sendMcpRequest(child, 2, 'tools/call', {
+      name: 'list_windows',
+      arguments: {},
+    });
+    const resp = await waitForResponse(child, 2);
+    const { cwd, windows } = JSON.parse(resp.result.content[0].text);
+    assert.equal(cwd, process.cwd());
+    assert.ok(!windows.some((w) => w.id === 'dead-test'));
+    assert.ok(!fs.existsSync(registryFile('dead-test')));
+
+    const ours = windows.find((w) => w.id === TEST_WINDOW_ID);
+    assert.equal(ours.port, fakePort);
+    assert.equal(ours.title, 'tree');
+    assert.equal(ours.selected, true);
+    assert.equal(ours.matchesCwd, true);
+    assert.equal(ours.stale, false);
+    assert.equal(ours.token, undefined);
+  });
+
+  it('forwards editor events as logging notifications', async () => {
+    child = spawn('node', [BRIDGE_PATH], {
+      stdio: ['pipe', 'pipe', 'pipe'],
+    });
+    await initializeBridge(child);
+    for (let i = 0; i < 50 && fakeExt.eventStreams.length === 0; i++) {
+      await new Promise((r) => setTimeout(r, 20));
+    }
+    assert.equal(fakeExt.eventStreams.length, 1);
+
+    const message = waitForNotification(child, 'notifications/message');
+    fakeExt.pushEvent({ type: 'documentSaved', path: '/a.txt', uri: 'file:///a.txt', version: 2 });
+    const { params } = await message;
+    assert.equal(params.level, 'info');
+    assert.equal(params.logger, 'cursor-commander');
+    assert.deepEqual(params.data, {
+      type: 'documentSaved',
+      path: '/a.txt',
+      uri: 'file:///a.txt',
+      version: 2,
+      window: TEST_WINDOW_ID,
+    });
+  });
+
+  describe('resources', () => {
+    it('lists editor state and open buffers as resources', async () => {
+      child = spawn('node', [BRIDGE_PATH], {
+        stdio: ['pipe', 'pipe', 'pipe'],
+      });
+      await initializeBridge(child);
+
+      sendMcpRequest(child, 2, 'resources/list');
+      const resp = await waitForResponse(child, 2);
+      assert.deepEqual(
+        resp.result.resources.map((r) => r.uri),
+        [
+          'editor://open-files',
+          'editor://active',
+          'editor://diagnostics',
+          'editor://terminals',
+          'file:///a.txt',
+          'file:///b.txt',
+        ],
+      );
+      assert.equal(resp.result.resources[4].name, 'a.txt');
+    });
+
+    it('reads editor state and buffer resources through the extension', async () => {
+      child = spawn('node', [BRIDGE_PATH], {
+        stdio: ['pipe', 'pipe', 'pipe'],
+      });
+      await initializeBridge(child);
+
+      sendMcpRequest(child, 2, 'resources/read', { uri: 'editor://terminals' });
+      const terminals = await waitForResponse(child, 2);
+      const [content] = terminals.result.contents;
+      assert.equal(content.mimeType, 'application/json');
+      assert.equal(JSON.parse(content.text)[0].id, 'terminal-1');
+
+      sendMcpRequest(child, 3, 'resources/read', { uri: 'file:///a.txt' });
+      const file = await waitForResponse(child, 3);
+      assert.equal(file.result.contents[0].text, 'contents of file:///a.txt');
+
+      sendMcpRequest(child, 4, 'resources/read', { uri: 'editor://nope' });
+      const unknown = await waitForResponse(child, 4);
+      assert.match(unknown.error.message, /Unknown resource: editor:\/\/nope/);
+    });
+
+    it('notifies subscribers when a resource changes', async () => {
+      child = spawn('node', [BRIDGE_PATH], {
+        stdio: ['pipe', 'pipe', 'pipe'],
+      });
+      await initializeBridge(child);
+
+      sendMcpRequest(child, 2, 'resources/subscribe', { uri: 'editor://terminals' });
+      await waitForResponse(child, 2);
+      sendMcpRequest(child, 3, 'resources/subscribe', { uri: 'file:///a%20b.txt' });
+      await waitForResponse(child, 3);
+      for (let i = 0; i < 50 && fakeExt.eventStreams.length === 0; i++) {
+        await new Promise((r) => setTimeout(r, 20));
+      }
+
+      let updated = waitForNotification(child, 'notifications/resources/updated');
+      fakeExt.pushEvent({ type: 'terminalOpened', id: 'terminal-3', name: 'zsh' });
+      assert.equal((await updated).params.uri, 'editor://terminals');
+
+      updated = waitForNotification(child, 'notifications/resources/updated');
+      fakeExt.pushEvent({ type: 'documentSaved', path: '/c.txt', uri: 'file:///c.txt', version: 1 });
+      fakeExt.pushEvent({ type: 'documentSaved', path: '/a b.txt', uri: 'file:///a b.txt', version: 1 });
+      assert.equal((await updated).params.uri, 'file:///a b.txt');
+
+      sendMcpRequest(child, 4, 'resources/unsubscribe', { uri: 'editor://terminals' });
+      await waitForResponse(child, 4);
+      const listChanged = waitForNotification(child, 'notifications/resources/list_changed');
+      updated = waitForNotification(child, 'notifications/resources/updated', 500);
+      fakeExt.pushEvent({ type: 'tabsChanged' });
+      fakeExt.pushEvent({ type: 'terminalClosed', id: 'terminal-3', name: 'zsh', exitCode: 0 });
+      await listChanged;
+      await assert.rejects(updated, /Timeout/);
+    });
+  });
+
+  describe('handshake', () => {
+    let other;
+
+    async function switchTo(options) {
+      other = createFakeExtension(options);
+      await new Promise((resolve) => other.server.listen(0, '127.0.0.1', resolve));
+      writeRegistryEntry(TEST_WINDOW_ID, {
+        port: other.server.address().port,
+        folders: [process.cwd()],
+        title: 'tree',
+      });
+    }
+
+    afterEach(() => {
+      other?.server.close();
+      other = undefined;
+    });
+
+    it('reports a protocol version mismatch', async () => {
+      await switchTo({ protocolVersion: 2 });
+      child = spawn('node', [BRIDGE_PATH], {
+        stdio: ['pipe', 'pipe', 'pipe'],
+      });
+      await initializeBridge(child);
+
+      sendMcpRequest(child, 2, 'tools/call', {
+        name: 'save_all_files',
+        arguments: {},
+      });
+      const resp = await waitForResponse(child, 2);
+      assert.equal(resp.result.isError, true);
+      assert.match(
+        resp.result.content[0].text,
+        /Version mismatch: the Cursor Commander extension 0\.1\.0 speaks protocol 2, but this bridge \(0\.1\.0\) speaks protocol 1/,
+      );
+      assert.ok(!other.received.some((r) => r.command === 'saveAll'));
+    });
+
+    it('reports an extension too old to have a handshake', async () => {
+      await switchTo({ handshake: false });
+      child = spawn('node', [BRIDGE_PATH], {
+        stdio: ['pipe', 'pipe', 'pipe'],
+      });
+      await initializeBridge(child);
+
+      sendMcpRequest(child, 2, 'tools/list');
+      const list = await waitForResponse(child, 2);
+      assert.deepEqual(
+        list.result.tools.map((t) => t.name).sort(),
+        ['list_windows', 'select_window'],
+      );
+
+      sendMcpRequest(child, 3, 'tools/call', {
+        name: 'save_all_files',
+        arguments: {},
+      });
+      const resp = await waitForResponse(child, 3);
+      assert.equal(resp.result.isError, true);
+      assert.match(resp.result.content[0].text, /older than this bridge .* has no handshake/);
+    });
+
+    it('announces the extension tools once a window starts after tools/list', async () => {
+      fs.unlinkSync(registryFile(TEST_WINDOW_ID));
+      child = spawn('node', [BRIDGE_PATH], {
+        stdio: ['pipe', 'pipe', 'pipe'],
+      });
+      await initializeBridge(child);
+      sendMcpRequest(child, 2, 'tools/list');
+      const before = await waitForResponse(child, 2);
+      assert.deepEqual(before.result.tools.map((t) => t.name).sort(), ['list_windows', 'select_window']);
+
+      // Picked up when the event stream next tries to connect
+      const changed = waitForNotification(child, 'notifications/tools/list_changed', 10000);
+      writeRegistryEntry(TEST_WINDOW_ID, { port: fakePort, folders: [process.cwd()], title: 'tree' });
+      await changed;
+
+      sendMcpRequest(child, 3, 'tools/list');
+      const after = await waitForResponse(child, 3);
+      assert.ok(after.result.tools.some((t) => t.name === 'show_message'));
+    });
+
+    it('refreshes the tool list when the extension restarts', async () => {
+      child = spawn('node', [BRIDGE_PATH], {
+        stdio: ['pipe', 'pipe', 'pipe'],
+      });
+      await initializeBridge(child);
+      sendMcpRequest(child, 2, 'tools/list');
+      const before = await waitForResponse(child, 2);
+      assert.ok(before.result.tools.some((t) => t.name === 'show_message'));
+
+      await switchTo({ commands: COMMANDS.filter((c) => c.tool !== 'show_message') });
+      const changed = waitForNotification(child, 'notifications/tools/list_changed');
+      sendMcpRequest(child, 3, 'tools/call', {
+        name: 'save_all_files',
+        arguments: {},
+      });
+      const resp = await waitForResponse(child, 3);
+      assert.equal(resp.result.content[0].text, 'All files saved');
+      assert.ok(other.received.some((r) => r.command === 'saveAll'));
+      await changed;
+
+      sendMcpRequest(child, 4, 'tools/list');
+      const after = await waitForResponse(child, 4);
+      assert.ok(!after.result.tools.some((t) => t.name === 'show_message'));
+      assert.equal(after.result.tools.length, before.result.tools.length - 1);
+    });
+  });
+
+  describe('when the window is slow or reloading', () => {
+    let other;
+
+    afterEach(() => {
+      other?.close();
+      other = undefined;
+    });
+
+    function listen(server) {
+      return new Promise((resolve) => server.listen(0, '127.0.0.1', () => resolve(server.address().port)));
+    }
+
+    it('gives up on a call after the timeout set for its tool', async () => {
+      const hang = { command: 'hang', tool: 'hang', description: 'Never answers', inputSchema: { type: 'object' } };
+      const slow = createFakeExtension({ commands: [...COMMANDS, hang] });
+      other = slow.server;
+      writeRegistryEntry(TEST_WINDOW_ID, { port: await listen(other), folders: [process.cwd()], title: 'tree' });
+      child = spawn('node', [BRIDGE_PATH, '--timeout', 'hang=300,bogus'], {
+        stdio: ['pipe', 'pipe', 'pipe'],
+      });
+      let stderr = '';
+      child.stderr.on('data', (chunk) => (stderr += chunk));
+      await initializeBridge(child);
+
+      sendMcpRequest(child, 2, 'tools/call', { name: 'hang', arguments: {} });
+      const resp = await waitForResponse(child, 2);
+      assert.equal(resp.result.isError, true);
+      assert.match(
+        resp.result.content[0].text,
+        /^Error: Timed out after 0\.3s waiting for hang in Cursor window .* \(tree\)\. It may still finish in the editor/,
+      );
+      assert.match(resp.result.content[0].text, /--timeout hang=<ms>/);
+      assert.match(stderr, /ignoring invalid timeout "bogus"/);
+      assert.ok(slow.received.some((r) => r.command === 'hang'));
+    });
+
+    it('drops the request to the extension when the client cancels the call', async () => {
+      const hang = { command: 'hang', tool: 'hang', description: 'Never answers', inputSchema: { type: 'object' } };
+      const slow = createFakeExtension({ commands: [...COMMANDS, hang] });
+      other = slow.server;
+      writeRegistryEntry(TEST_WINDOW_ID, { port: await listen(other), folders: [process.cwd()], title: 'tree' });
+      child = spawn('node', [BRIDGE_PATH], {
+        stdio: ['pipe', 'pipe', 'pipe'],
+      });
+      await initializeBridge(child);
+
+      sendMcpRequest(child, 2, 'tools/call', { name: 'hang', arguments: {} });
+      while (!slow.received.some((r) => r.command === 'hang')) {
+        await new Promise((r) => setTimeout(r, 20));
+      }
+      child.stdin.write(
+        JSON.stringify({
+          jsonrpc: '2.0',
+          method: 'notifications/cancelled',
+          params: { requestId: 2, reason: 'user pressed stop' },
+        }) + '\n',
+      );
+      const deadline = Date.now() + 2000;
+      while (!slow.dropped.includes('hang') && Date.now() < deadline) {
+        await new Promise((r) => setTimeout(r, 20));
+      }
+      assert.deepEqual(slow.dropped, ['hang']);
+    });
+
+    it('retries while the window reloads and re-reads the registry', async () => {
+      // A port nothing listens on, as while the extension host restarts
+      const closed = http.createServer();
+      const closedPort = await listen(closed);
+      await new Promise((resolve) => closed.close(resolve));
+      writeRegistryEntry(TEST_WINDOW_ID, { port: closedPort, folders: [process.cwd()], title: 'tree' });
+
+      child = spawn('node', [BRIDGE_PATH], {
+        stdio: ['pipe', 'pipe', 'pipe'],
+      });
+      await initializeBridge(child);
+
+      sendMcpRequest(child, 2, 'tools/call', { name: 'save_all_files', arguments: {} });
+      await new Promise((r) => setTimeout(r, 100));
+      writeRegistryEntry(TEST_WINDOW_ID, { port: fakePort, folders: [process.cwd()], title: 'tree' });
+      const resp = await waitForResponse(child, 2);
+      assert.equal(resp.result.content[0].text, 'All files saved');
+      assert.ok(fakeExt.received.some((r) => r.command === 'saveAll'));
+    });
+
+    it('explains a response that is not JSON', async () => {
+      other = http.createServer((req, res) => {
+        res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+        res.end('<html><body>Some other program</body></html>');
+      });
+      const port = await listen(other);
+      writeRegistryEntry(TEST_WINDOW_ID, { port, folders: [process.cwd()], title: 'tree' });
+      child = spawn('node', [BRIDGE_PATH], {
+        stdio: ['pipe', 'pipe', 'pipe'],
+      });
+      await initializeBridge(child);
+
+      sendMcpRequest(child, 2, 'tools/call', { name: 'save_all_files', arguments: {} });
+      const resp = await waitForResponse(child, 2);
+      assert.equal(resp.result.isError, true);
+      assert.match(
+        resp.result.content[0].text,
+        new RegExp(`The extension on port ${port} answered HTTP 200 with text/html instead of JSON\\. ` +
+          'The port may belong to another program'),
+      );
+    });
+  });
+
+  describe('with a second window', () => {
+    const BACKEND_FOLDER = path.join(os.tmpdir(), 'cursor-commander-backend');
+    let backend;
+
+    beforeEach(async () => {
+      backend = createFakeExtension();
+      await new Promise((resolve) => backend.server.listen(0, '127.0.0.1', resolve));
+      writeRegistryEntry('backend-test', {
+        port: backend.server.address().port,
+        folders: [BACKEND_FOLDER],
+        title: 'backend',
+      });
+    });
+
+    afterEach(() => {
+      backend.server.close();
+      try {
+        fs.unlinkSync(registryFile('backend-test'));
+      } catch {}
+    });
+
+    it('routes later calls to the window picked with select_window', async () => {
+      child = spawn('node', [BRIDGE_PATH], {
+        stdio: ['pipe', 'pipe', 'pipe'],
+      });
+      await initializeBridge(child);
+
+      sendMcpRequest(child, 2, 'tools/call', {
+        name: 'select_window',
+        arguments: { window: 'backend-test' },
+      });
+      const selected = JSON.parse((await waitForResponse(child, 2)).result.content[0].text);
+      assert.equal(selected.target, 'backend-test');
+      assert.equal(selected.window.title, 'backend');
+      assert.equal(selected.window.token, undefined);
+
+      sendMcpRequest(child, 3, 'tools/call', {
+        name: 'save_all_files',
+        arguments: {},
+      });
+      const resp = await waitForResponse(child, 3);
+      assert.equal(resp.result.content[0].text, 'All files saved');
+      assert.equal(resp.result.content[1].text, 'Handled by window backend-test (backend)');
+      assert.ok(backend.received.some((r) => r.command === 'saveAll'));
+      assert.ok(!fakeExt.received.some((r) => r.command === 'saveAll'));
+
+      sendMcpRequest(child, 4, 'tools/call', {
+        name: 'select_window',
+        arguments: {},
+      });
+      const cleared = JSON.parse((await waitForResponse(child, 4)).result.content[0].text);
+      assert.equal(cleared.target, null);
+      assert.equal(cleared.window.id, TEST_WINDOW_ID);
+    });
+
+    it('targets the window containing the path in CURSOR_COMMANDER_WINDOW', async () => {
+      child = spawn('node', [BRIDGE_PATH], {
+        env: { ...process.env, CURSOR_COMMANDER_WINDOW: path.join(BACKEND_FOLDER, 'src') },
+        stdio: ['pipe', 'pipe', 'pipe'],
+      });
+      await initializeBridge(child);
+
+      sendMcpRequest(child, 2, 'tools/call', {
+        name: 'get_open_files',
+        arguments: {},
+      });
+      const resp = await waitForResponse(child, 2);
+      assert.equal(resp.result.content[1].text, 'Handled by window backend-test (backend)');
+      assert.ok(backend.received.some((r) => r.command === 'getOpenFiles'));
+    });
+
+    it('accepts the window as a --window argument', async () => {
+      child = spawn('node', [BRIDGE_PATH, '--window', 'backend-test'], {
+        stdio: ['pipe', 'pipe', 'pipe'],
+      });
+      await initializeBridge(child);
+
+      sendMcpRequest(child, 2, 'tools/call', {
+        name: 'list_windows',
+        arguments: {},
+      });
+      const { target, windows } = JSON.parse((await waitForResponse(child, 2)).result.content[0].text);
+      assert.equal(target, 'backend-test');
+      assert.equal(windows.find((w) => w.selected).id, 'backend-test');
+    });
+
+    it('refuses to select a window that is not running', async () => {
+      child = spawn('node', [BRIDGE_PATH], {
+        stdio: ['pipe', 'pipe', 'pipe'],
+      });
+      await initializeBridge(child);
+
+      sendMcpRequest(child, 2, 'tools/call', {
+        name: 'select_window',
+        arguments: { window: 'no-such-window' },
+      });
+      const resp = await waitForResponse(child, 2);
+      assert.equal(resp.result.isError, true);
+      assert.match(resp.result.content[0].text, /No running Cursor window matches "no-such-window"/);
+
+      sendMcpRequest(child, 3, 'tools/call', {
+        name: 'save_all_files',
+        arguments: {},
+      });
+      await waitForResponse(child, 3);
+      assert.ok(fakeExt.received.some((r) => r.command === 'saveAll'));
+    });
   });
 
   it('calls get_open_files and returns file list', async () => {
@@ -342,6 +1068,7 @@ describe('MCP Bridge', () => {
     const parsed = JSON.parse(resp.result.content[0].text);
     assert.equal(parsed.length, 2);
     assert.equal(parsed[0].name, 'zsh');
+    assert.equal(parsed[0].id, 'terminal-1');
     assert.equal(parsed[1].name, 'node');
   });
 
@@ -411,6 +1138,25 @@ describe('MCP Bridge', () => {
     assert.ok(!statusCmds.includes('idle'), 'idle should be debounced, not sent yet');
   });
 
+  it('returns policy refusals as structured results', async () => {
+    child = spawn('node', [BRIDGE_PATH], {
+      stdio: ['pipe', 'pipe', 'pipe'],
+    });
+    await initializeBridge(child);
+
+    sendMcpRequest(child, 2, 'tools/call', {
+      name: 'execute_command',
+      arguments: { command: 'workbench.action.reloadWindow' },
+    });
+    const resp = await waitForResponse(child, 2);
+    assert.equal(resp.result.isError, true);
+    assert.deepEqual(JSON.parse(resp.result.content[0].text), {
+      refused: true,
+      reason: 'denied',
+      message: 'Command "workbench.action.reloadWindow" is denied by the cursorCommander.policy.deniedCommands setting',
+    });
+  });
+
   it('returns error for unknown tool', async () => {
     child = spawn('node', [BRIDGE_PATH], {
       stdio: ['pipe', 'pipe', 'pipe'],
@@ -446,6 +1192,9 @@ describe('MCP Bridge - no extension running', () => {
     try {
       fs.unlinkSync(portFileForCwd(process.cwd()));
     } catch {}
+    try {
+      fs.unlinkSync(registryFile(TEST_WINDOW_ID));
+    } catch {}
   });
 
   it('returns error when port file is missing', async () => {
@@ -475,6 +1224,7 @@ describe('MCP Bridge - no extension running', () => {
     assert.ok(resp.result);
     assert.equal(resp.result.isError, true);
     assert.match(resp.result.content[0].text, /not running/);
+    assert.match(resp.result.content[0].text, /Retried 3 times over \d+\.\ds\.$/);
 
     child.kill();
     await new Promise((resolve) => child.on('close', resolve));